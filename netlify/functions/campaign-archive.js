@@ -0,0 +1,48 @@
+import CampaignArchive from '../../src/campaign-archive.js';
+import { authorizeAdminRequest, jsonResponse } from '../../src/admin-auth.js';
+
+// GET /.netlify/functions/campaign-archive[?limit=50]
+//   Archived campaigns, newest first.
+// GET /.netlify/functions/campaign-archive?id=<campaignId>
+//   One campaign with the job details it was rendered from.
+// GET /.netlify/functions/campaign-archive?id=<campaignId>&format=html
+//   The HTML exactly as it was sent.
+export default async (req, context) => {
+  console.log('🗄️ Campaign archive endpoint triggered:', req.method);
+
+  const denied = authorizeAdminRequest(req);
+  if (denied) return denied;
+
+  if (req.method !== 'GET') {
+    return jsonResponse({ success: false, error: `Method ${req.method} not allowed` }, 405);
+  }
+
+  try {
+    const archive = new CampaignArchive();
+    const url = new URL(req.url);
+    const campaignId = url.searchParams.get('id');
+
+    if (!campaignId) {
+      const campaigns = await archive.list({ limit: parseInt(url.searchParams.get('limit')) || 50 });
+      return jsonResponse({ success: true, count: campaigns.length, campaigns });
+    }
+
+    if (url.searchParams.get('format') === 'html') {
+      const html = await archive.getHtml(campaignId);
+      if (html === null) {
+        return jsonResponse({ success: false, error: `Campaign ${campaignId} not found` }, 404);
+      }
+      return new Response(html, { status: 200, headers: { 'Content-Type': 'text/html' } });
+    }
+
+    const campaign = await archive.get(campaignId);
+    if (!campaign) {
+      return jsonResponse({ success: false, error: `Campaign ${campaignId} not found` }, 404);
+    }
+    return jsonResponse({ success: true, campaign });
+
+  } catch (error) {
+    console.error('❌ Campaign archive request failed:', error);
+    return jsonResponse({ success: false, error: error.message, timestamp: new Date().toISOString() }, 500);
+  }
+};
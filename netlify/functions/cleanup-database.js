@@ -1,69 +1,67 @@
-import { getStore } from '@netlify/blobs';
+import JobQueueManager from '../../src/job-queue-manager.js';
+import { authorizeAdminRequest, jsonResponse } from '../../src/admin-auth.js';
 
+// POST /.netlify/functions/cleanup-database?mode=<mode>[&dryRun=true][&reason=...]
+//   mode=all                    every job, the index and the counters
+//   mode=sent                   sent jobs
+//   mode=older-than&days=90     jobs finished, or still open and published, 90+ days ago
+//   mode=status&status=closed   jobs in one status
+// The removed records are backed up first; the response names the backup,
+// which the restore-backup function writes back. dryRun=true only lists the
+// jobs that would be removed. There is no default mode.
 export default async (req, context) => {
-  console.log('🧹 Database cleanup utility triggered...');
-  console.log('Query params:', context.url?.searchParams?.toString());
-  
+  console.log('🧹 Database cleanup utility triggered:', req.method);
+
+  const denied = authorizeAdminRequest(req);
+  if (denied) return denied;
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ success: false, error: `Method ${req.method} not allowed` }, 405);
+  }
+
   try {
-    const store = getStore('job-queue', {
-      siteID: '448fec77-521b-4a59-84c2-d745b8b9d2c4',
-      token: process.env.NETLIFY_AUTH_TOKEN
-    });
-    
-    console.log('🔄 Initializing Netlify Blobs store for cleanup...');
-    
-    // Get current state before cleanup
-    let currentData = null;
-    try {
-      currentData = await store.get('job-queue', { type: 'json' });
-      console.log(`📊 Current queue state: ${currentData?.jobQueue?.length || 0} jobs`);
-    } catch (e) {
-      console.log('ℹ️ No existing data to clean');
+    const url = new URL(req.url);
+    console.log('Query params:', url.searchParams.toString());
+
+    const mode = url.searchParams.get('mode');
+    if (!mode) {
+      return jsonResponse({ success: false, error: '"mode" is required (all, sent, older-than or status)' }, 400);
     }
-    
-    // Clear the database
-    await store.delete('job-queue');
-    console.log('✅ Job queue database cleared');
-    
-    // Verify cleanup
-    try {
-      const verifyData = await store.get('job-queue', { type: 'json' });
-      if (verifyData) {
-        console.log('⚠️ Data still exists after cleanup');
-      } else {
-        console.log('✅ Cleanup verified - database is empty');
-      }
-    } catch (e) {
-      console.log('✅ Cleanup verified - no data found');
+
+    const jobQueue = new JobQueueManager({ actor: 'cleanup-database' });
+    const currentStats = await jobQueue.getQueueStats();
+    console.log(`📊 Current queue state: ${currentStats.totalJobs} jobs`);
+
+    const result = await jobQueue.cleanupQueue({
+      mode,
+      days: parseInt(url.searchParams.get('days')) || null,
+      status: url.searchParams.get('status'),
+      dryRun: url.searchParams.get('dryRun') === 'true',
+      reason: url.searchParams.get('reason')
+    });
+
+    if (result.error) {
+      return jsonResponse({ success: false, error: result.error }, 400);
     }
-    
-    return new Response(JSON.stringify({
+
+    return jsonResponse({
       success: true,
-      message: 'Database cleaned successfully',
+      message: result.dryRun
+        ? `Dry run: ${result.matched} jobs would be removed`
+        : `Removed ${result.matched} jobs; restore them with backup ${result.backupId}`,
+      ...result,
       previousState: {
-        totalJobs: currentData?.jobQueue?.length || 0,
-        pendingJobs: currentData?.jobQueue?.filter(j => j.status === 'pending').length || 0,
-        sentJobs: currentData?.jobQueue?.filter(j => j.status === 'sent').length || 0,
-        emailsSent: currentData?.emailsSent || 0,
-        lastProcessed: currentData?.lastProcessed || null
+        totalJobs: currentStats.totalJobs,
+        pendingJobs: currentStats.pendingJobs,
+        sentJobs: currentStats.sentJobs,
+        emailsSent: currentStats.emailsSent,
+        lastProcessed: currentStats.lastProcessed
       },
       timestamp: new Date().toISOString()
-    }), {
-      status: 200,
-      headers: { 'Content-Type': 'application/json' }
     });
-    
+
   } catch (error) {
     console.error('❌ Cleanup failed:', error);
-    
-    return new Response(JSON.stringify({
-      success: false,
-      error: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' }
-    });
+    return jsonResponse({ success: false, error: error.message, timestamp: new Date().toISOString() }, 500);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,62 @@
+import JobQueueManager from '../../src/job-queue-manager.js';
+import { authorizeAdminRequest, jsonResponse } from '../../src/admin-auth.js';
+
+// GET  /.netlify/functions/job-duplicates[?all=true]
+//   Lists jobs linked as reposts of an earlier queue entry.
+// POST /.netlify/functions/job-duplicates
+//   { "guid": "...", "decision": "distinct" }              release a false match
+//   { "guid": "...", "decision": "duplicate", "of": "..." } link a missed repost
+export default async (req, context) => {
+  console.log('🔁 Duplicate review endpoint triggered:', req.method);
+
+  const denied = authorizeAdminRequest(req);
+  if (denied) return denied;
+
+  try {
+    if (req.method === 'GET') {
+      const jobQueue = new JobQueueManager({ actor: 'operator' });
+      const url = new URL(req.url);
+      const duplicates = await jobQueue.getDuplicates({ includeResolved: url.searchParams.get('all') === 'true' });
+      return jsonResponse({ success: true, count: duplicates.length, duplicates });
+    }
+
+    if (req.method !== 'POST') {
+      return jsonResponse({ success: false, error: `Method ${req.method} not allowed` }, 405);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (error) {
+      return jsonResponse({ success: false, error: 'Request body must be JSON' }, 400);
+    }
+
+    if (!body.guid || !body.decision) {
+      return jsonResponse({ success: false, error: '"guid" and "decision" are required' }, 400);
+    }
+    if (body.decision === 'duplicate' && !body.of) {
+      return jsonResponse({ success: false, error: '"of" is required when decision is "duplicate"' }, 400);
+    }
+
+    const jobQueue = new JobQueueManager({ actor: `operator:${body.decidedBy || 'operator'}` });
+    const result = await jobQueue.resolveDuplicate(body.guid, {
+      decision: body.decision,
+      of: body.of || null,
+      note: body.note || null,
+      decidedBy: body.decidedBy || 'operator'
+    });
+
+    if (!result) {
+      return jsonResponse({ success: false, error: `Job ${body.decision === 'duplicate' ? `${body.guid} or ${body.of}` : body.guid} not found` }, 404);
+    }
+    if (result.error) {
+      return jsonResponse({ success: false, error: result.error }, 409);
+    }
+
+    return jsonResponse({ success: true, ...result, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    console.error('❌ Duplicate review failed:', error);
+    return jsonResponse({ success: false, error: error.message, timestamp: new Date().toISOString() }, 500);
+  }
+};
@@ -2,22 +2,38 @@ import { schedule } from '@netlify/functions';
 import RSSParserV2 from '../../src/rss-parser-v2.js';
 import JobQueueManager from '../../src/job-queue-manager.js';
 import EmailServiceV2 from '../../src/email-service-v2.js';
+import FeedHealthMonitor from '../../src/feed-health-monitor.js';
 
 const schedulerHandler = async (event, context) => {
   console.log('🚀 Job email scheduler V2 triggered at:', new Date().toISOString());
   
   try {
     const rssParser = new RSSParserV2();
-    const jobQueue = new JobQueueManager();
-    const emailService = new EmailServiceV2();
+    const jobQueue = new JobQueueManager({ actor: 'scheduler' });
+    const emailService = new EmailServiceV2(rssParser);
+    const healthMonitor = new FeedHealthMonitor();
     
     console.log('📊 Getting current queue stats...');
     const initialStats = await jobQueue.getQueueStats();
     console.log(`Current queue: ${initialStats.pendingJobs} pending, ${initialStats.sentJobs} sent, ${initialStats.emailsSent} emails sent total`);
     
+    // Settled with Mailchimp alone, before the feed is read, so a feed outage
+    // (an empty or failed fetch) cannot leave jobs reserved.
+    console.log('🔐 Settling expired send reservations...');
+    const recovery = await jobQueue.recoverReservations(campaignId => emailService.checkCampaign(campaignId));
+    
     console.log('📥 Fetching new job metadata from RSS...');
     const jobMetadata = await rssParser.fetchJobMetadata();
     console.log(`Found ${jobMetadata.length} jobs in RSS feed`);
+    if (rssParser.getRunIssues().length > 0) {
+      console.warn(`⚠️ Degraded run: ${rssParser.getRunIssues().map(issue => `${issue.feedId} ${issue.type}`).join(', ')}`);
+    }
+    
+    console.log('🩺 Checking feed health against baseline...');
+    const feedHealth = await healthMonitor.record(rssParser.getHealthReports());
+    if (feedHealth.alerts.length > 0) {
+      await emailService.sendFeedHealthAlert(feedHealth.alerts);
+    }
     
     if (jobMetadata.length === 0) {
       console.log('No jobs found in RSS feed, ending process');
@@ -25,41 +41,72 @@ const schedulerHandler = async (event, context) => {
         statusCode: 200,
         body: JSON.stringify({ 
           message: 'No jobs found in RSS feed',
+          degraded: rssParser.getRunIssues().length > 0,
+          issues: rssParser.getRunIssues(),
+          feedHealth: feedHealth.reports,
+          recovery: recovery,
           queueStats: initialStats 
         })
       };
     }
     
     console.log('📝 Adding new jobs to queue...');
-    const updatedQueue = await jobQueue.addNewJobs(jobMetadata);
-    const pendingCount = jobQueue.getPendingCount(updatedQueue);
-    console.log(`Queue updated: ${pendingCount} pending jobs`);
+    const added = await jobQueue.addNewJobs(jobMetadata);
+    console.log(`Queue updated: ${added.pendingJobs} pending jobs`);
+    
+    console.log('✏️ Checking known jobs for content changes...');
+    const contentChanges = await jobQueue.applyContentChanges(jobMetadata);
+    
+    console.log('🔍 Checking pending jobs against the feed...');
+    const lifecycle = await jobQueue.reconcileWithFeed(jobMetadata, {
+      loadedSourceIds: rssParser.getLoadedSourceIds(),
+      defaultSourceId: rssParser.getDefaultSourceId()
+    });
+    
+    const batchPolicy = jobQueue.getBatchPolicy();
+    const droppedJobs = await jobQueue.dropTooOldJobs(batchPolicy);
+    const plan = await jobQueue.getBatchPlan(batchPolicy);
+    const pendingCount = plan.available;
+    console.log(`Sendable pending jobs under batch policy ${batchPolicy.id}: ${pendingCount}`);
     
-    const jobThreshold = parseInt(process.env.JOB_THRESHOLD) || 10;
-    if (pendingCount >= jobThreshold) {
-      console.log(`✅ Threshold reached (${pendingCount} >= ${jobThreshold}), preparing to send email`);
+    const jobThreshold = batchPolicy.minSize;
+    if (plan.ready) {
+      console.log(`✅ Sending (${plan.trigger.reason}): ${plan.trigger.detail}`);
       
-      const jobsForEmail = await jobQueue.getNextBatch(jobThreshold);
-      console.log(`📧 Selected ${jobsForEmail.length} jobs for email (FIFO by pubDate)`);
+      const jobsForEmail = await jobQueue.getNextBatch(batchPolicy);
+      console.log(`📧 Selected ${jobsForEmail.length} jobs for email (pinned first, then by priority and pubDate)`);
       
       if (jobsForEmail.length > 0) {
         console.log(`📅 Date range: ${jobsForEmail[0].pubDate} to ${jobsForEmail[jobsForEmail.length - 1].pubDate}`);
         
-        const jobGuids = jobsForEmail.map(job => job.guid);
-        const emailResult = await emailService.sendJobEmail(jobGuids, jobQueue);
+        const emailResult = await emailService.sendJobEmail(jobsForEmail, jobQueue, {
+          batchPolicy,
+          trigger: plan.trigger
+        });
         
         console.log(`✅ Email campaign sent successfully: ${emailResult.campaignId}`);
         
-        const finalStats = await jobQueue.getQueueStats();
+        const finalStats = await jobQueue.getQueueStats(batchPolicy);
         
         return {
           statusCode: 200,
           body: JSON.stringify({
             message: 'Email campaign sent successfully',
+            runId: jobQueue.runId,
+            degraded: rssParser.getRunIssues().length > 0,
+            issues: rssParser.getRunIssues(),
             campaignId: emailResult.campaignId,
+            batchPolicy: batchPolicy.id,
+            trigger: plan.trigger,
             jobsSent: emailResult.jobCount,
             guidsProcessed: emailResult.guidsProcessed,
+            missingGuids: emailResult.missingGuids,
             queueUpdated: emailResult.queueUpdated,
+            lifecycle: lifecycle,
+            contentChanges: contentChanges,
+            recovery: recovery,
+            droppedJobs: droppedJobs,
+            feedHealth: feedHealth.reports,
             finalStats: finalStats
           })
         };
@@ -69,6 +116,7 @@ const schedulerHandler = async (event, context) => {
           statusCode: 200,
           body: JSON.stringify({
             message: 'Threshold reached but no jobs available for email',
+            trigger: plan.trigger,
             pendingJobs: pendingCount
           })
         };
@@ -77,13 +125,22 @@ const schedulerHandler = async (event, context) => {
     
     console.log(`⏳ Threshold not reached: ${pendingCount}/${jobThreshold} jobs`);
     
-    const finalStats = await jobQueue.getQueueStats();
+    const finalStats = await jobQueue.getQueueStats(batchPolicy);
     return {
       statusCode: 200,
       body: JSON.stringify({
         message: 'Jobs added to queue, waiting for threshold',
+        runId: jobQueue.runId,
+        degraded: rssParser.getRunIssues().length > 0,
+        issues: rssParser.getRunIssues(),
         pendingJobs: pendingCount,
-        needed: Math.max(0, jobThreshold - pendingCount),
+        batchPolicy: batchPolicy.id,
+        lifecycle: lifecycle,
+        contentChanges: contentChanges,
+        recovery: recovery,
+        droppedJobs: droppedJobs,
+        feedHealth: feedHealth.reports,
+        needed: plan.needed,
         queueStats: finalStats
       })
     };
@@ -0,0 +1,39 @@
+import JobEventLog from '../../src/job-event-log.js';
+import { authorizeAdminRequest, jsonResponse } from '../../src/admin-auth.js';
+
+// GET /.netlify/functions/job-events?guid=<guid>
+// GET /.netlify/functions/job-events?jobNumber=<job number>[&records=true]
+//   The audit trail of a job, oldest event first. `records=true` includes the
+//   record as written by each event.
+export default async (req, context) => {
+  console.log('📜 Job events endpoint triggered:', req.method);
+
+  const denied = authorizeAdminRequest(req);
+  if (denied) return denied;
+
+  if (req.method !== 'GET') {
+    return jsonResponse({ success: false, error: `Method ${req.method} not allowed` }, 405);
+  }
+
+  try {
+    const url = new URL(req.url);
+    const guid = url.searchParams.get('guid');
+    const jobNumber = url.searchParams.get('jobNumber');
+
+    if (!guid && !jobNumber) {
+      return jsonResponse({ success: false, error: '"guid" or "jobNumber" is required' }, 400);
+    }
+
+    const events = await new JobEventLog().query({
+      guid,
+      jobNumber,
+      includeRecords: url.searchParams.get('records') === 'true'
+    });
+
+    return jsonResponse({ success: true, guid, jobNumber, count: events.length, events });
+
+  } catch (error) {
+    console.error('❌ Job events query failed:', error);
+    return jsonResponse({ success: false, error: error.message, timestamp: new Date().toISOString() }, 500);
+  }
+};
@@ -0,0 +1,63 @@
+import JobQueueManager from '../../src/job-queue-manager.js';
+import { authorizeAdminRequest, jsonResponse } from '../../src/admin-auth.js';
+
+// GET  /.netlify/functions/job-priority
+//   Lists pending jobs with a priority or a pin, in the order batches take them.
+// POST /.netlify/functions/job-priority
+//   { "guid": "...", "priority": "urgent" }                        low, normal, high or urgent
+//   { "guid": "...", "pin": true, "expiresAt": "2026-11-01" }      feature in the next email
+//   { "guid": "...", "pin": false }                                remove the pin
+export default async (req, context) => {
+  console.log('📌 Job priority endpoint triggered:', req.method);
+
+  const denied = authorizeAdminRequest(req);
+  if (denied) return denied;
+
+  try {
+    if (req.method === 'GET') {
+      const jobQueue = new JobQueueManager({ actor: 'operator' });
+      const jobs = await jobQueue.getPrioritizedJobs();
+      return jsonResponse({ success: true, count: jobs.length, jobs });
+    }
+
+    if (req.method !== 'POST') {
+      return jsonResponse({ success: false, error: `Method ${req.method} not allowed` }, 405);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (error) {
+      return jsonResponse({ success: false, error: 'Request body must be JSON' }, 400);
+    }
+
+    if (!body.guid) {
+      return jsonResponse({ success: false, error: '"guid" is required' }, 400);
+    }
+    if (body.pin !== undefined && typeof body.pin !== 'boolean') {
+      return jsonResponse({ success: false, error: '"pin" must be true or false' }, 400);
+    }
+
+    const jobQueue = new JobQueueManager({ actor: `operator:${body.setBy || 'operator'}` });
+    const result = await jobQueue.setJobPriority(body.guid, {
+      priority: body.priority || null,
+      pin: body.pin === undefined ? null : body.pin,
+      pinExpiresAt: body.expiresAt || null,
+      note: body.note || null,
+      setBy: body.setBy || 'operator'
+    });
+
+    if (!result) {
+      return jsonResponse({ success: false, error: `Job ${body.guid} not found` }, 404);
+    }
+    if (result.error) {
+      return jsonResponse({ success: false, error: result.error }, 409);
+    }
+
+    return jsonResponse({ success: true, ...result, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    console.error('❌ Job priority update failed:', error);
+    return jsonResponse({ success: false, error: error.message, timestamp: new Date().toISOString() }, 500);
+  }
+};
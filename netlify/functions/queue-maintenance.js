@@ -0,0 +1,47 @@
+import { schedule } from '@netlify/functions';
+import JobQueueManager from '../../src/job-queue-manager.js';
+import QueueMaintenance from '../../src/queue-maintenance.js';
+import EmailServiceV2 from '../../src/email-service-v2.js';
+
+// Applies the retention policies once a day (see src/queue-maintenance.js).
+// Run it on demand, or as a dry run, with `npm run queue:maintenance`.
+const maintenanceHandler = async (event, context) => {
+  console.log('🧽 Queue maintenance triggered at:', new Date().toISOString());
+
+  try {
+    const jobQueue = new JobQueueManager({ actor: 'queue-maintenance' });
+    const report = await new QueueMaintenance().run(jobQueue);
+
+    if (report.errors.length > 0 && process.env.ADMIN_EMAIL) {
+      const summary = report.errors.map(({ step, error }) => `${step}: ${error}`).join('; ');
+      await new EmailServiceV2().sendErrorNotification(new Error(`Queue maintenance ${report.runId} had errors: ${summary}`));
+    }
+
+    return {
+      statusCode: report.errors.length > 0 ? 500 : 200,
+      body: JSON.stringify({ message: 'Queue maintenance finished', report })
+    };
+
+  } catch (error) {
+    console.error('❌ Queue maintenance error:', error);
+
+    if (process.env.ADMIN_EMAIL) {
+      try {
+        await new EmailServiceV2().sendErrorNotification(error);
+      } catch (emailError) {
+        console.error('Failed to send error notification:', emailError);
+      }
+    }
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        error: 'Queue maintenance failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      })
+    };
+  }
+};
+
+export const handler = schedule('0 3 * * *', maintenanceHandler);
@@ -0,0 +1,61 @@
+import JobQueueManager from '../../src/job-queue-manager.js';
+import { authorizeAdminRequest, jsonResponse } from '../../src/admin-auth.js';
+
+// GET  /.netlify/functions/restore-backup[?limit=50]
+//   Backups taken by cleanup-database, newest first.
+// GET  /.netlify/functions/restore-backup?id=<backupId>
+//   One backup with the records it holds.
+// POST /.netlify/functions/restore-backup
+//   { "backupId": "..." }  writes the backup's records (and counters) back
+export default async (req, context) => {
+  console.log('♻️ Restore backup endpoint triggered:', req.method);
+
+  const denied = authorizeAdminRequest(req);
+  if (denied) return denied;
+
+  try {
+    if (req.method === 'GET') {
+      const backups = new JobQueueManager().getBackups();
+      const url = new URL(req.url);
+      const backupId = url.searchParams.get('id');
+
+      if (!backupId) {
+        const list = await backups.list({ limit: parseInt(url.searchParams.get('limit')) || 50 });
+        return jsonResponse({ success: true, count: list.length, backups: list });
+      }
+
+      const backup = await backups.get(backupId);
+      if (!backup) {
+        return jsonResponse({ success: false, error: `Backup ${backupId} not found` }, 404);
+      }
+      return jsonResponse({ success: true, backup });
+    }
+
+    if (req.method !== 'POST') {
+      return jsonResponse({ success: false, error: `Method ${req.method} not allowed` }, 405);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch (error) {
+      return jsonResponse({ success: false, error: 'Request body must be JSON' }, 400);
+    }
+
+    if (!body.backupId) {
+      return jsonResponse({ success: false, error: '"backupId" is required' }, 400);
+    }
+
+    const jobQueue = new JobQueueManager({ actor: `operator:${body.restoredBy || 'operator'}` });
+    const result = await jobQueue.restoreBackup(body.backupId);
+    if (!result) {
+      return jsonResponse({ success: false, error: `Backup ${body.backupId} not found` }, 404);
+    }
+
+    return jsonResponse({ success: true, ...result, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    console.error('❌ Backup restore failed:', error);
+    return jsonResponse({ success: false, error: error.message, timestamp: new Date().toISOString() }, 500);
+  }
+};
@@ -9,13 +9,20 @@ export default async (req, context) => {
   
   try {
     const rssParser = new RSSParserV2();
-    const jobQueue = new JobQueueManager();
-    const emailService = new EmailServiceV2();
+    const jobQueue = new JobQueueManager({ actor: 'test-latest-10-v2' });
+    const emailService = new EmailServiceV2(rssParser);
+    // ?policy=<name> previews another newsletter's batch policy.
+    const batchPolicy = jobQueue.getBatchPolicy(new URL(req.url).searchParams.get('policy'));
     
     console.log('📊 Getting current queue stats...');
-    let queueStats = await jobQueue.getQueueStats();
+    let queueStats = await jobQueue.getQueueStats(batchPolicy);
     console.log(`Current queue: ${queueStats.pendingJobs} pending, ${queueStats.sentJobs} sent, ${queueStats.emailsSent} total emails sent`);
     
+    // Before the feed is read, as in the scheduler, so an empty or failed
+    // fetch cannot leave jobs reserved.
+    console.log('🔐 Settling expired send reservations...');
+    const recovery = await jobQueue.recoverReservations(campaignId => emailService.checkCampaign(campaignId));
+    
     console.log('📥 Fetching job metadata from RSS...');
     const jobMetadata = await rssParser.fetchJobMetadata();
     console.log(`📋 Found ${jobMetadata.length} jobs in RSS feed`);
@@ -24,6 +31,7 @@ export default async (req, context) => {
       return new Response(JSON.stringify({
         success: false,
         message: 'No jobs found in RSS feed',
+        recovery: recovery,
         queueStats: queueStats
       }), {
         status: 200,
@@ -32,19 +40,30 @@ export default async (req, context) => {
     }
     
     console.log('📝 Adding job metadata to queue...');
-    const updatedQueue = await jobQueue.addNewJobs(jobMetadata);
-    const pendingCount = jobQueue.getPendingCount(updatedQueue);
-    console.log(`📦 Queue updated: ${pendingCount} pending jobs`);
+    await jobQueue.addNewJobs(jobMetadata);
+    
+    console.log('✏️ Checking known jobs for content changes...');
+    const contentChanges = await jobQueue.applyContentChanges(jobMetadata);
+    
+    console.log('🔍 Checking pending jobs against the feed...');
+    const lifecycle = await jobQueue.reconcileWithFeed(jobMetadata, {
+      loadedSourceIds: rssParser.getLoadedSourceIds(),
+      defaultSourceId: rssParser.getDefaultSourceId()
+    });
+    
+    const droppedJobs = await jobQueue.dropTooOldJobs(batchPolicy);
+    const plan = await jobQueue.getBatchPlan(batchPolicy);
+    const pendingCount = plan.available;
+    console.log(`📦 Queue updated: ${pendingCount} sendable pending jobs under batch policy ${batchPolicy.id}`);
     
-    queueStats = await jobQueue.getQueueStats();
+    queueStats = await jobQueue.getQueueStats(batchPolicy);
     console.log(`📈 Queue stats: ${queueStats.totalJobs} total, ${queueStats.pendingJobs} pending, ${queueStats.sentJobs} sent`);
     
-    const jobThreshold = 10;
-    if (pendingCount >= jobThreshold) {
-      console.log(`✅ Threshold reached (${pendingCount} >= ${jobThreshold}), preparing test email`);
+    if (plan.ready) {
+      console.log(`✅ Sending (${plan.trigger.reason}): ${plan.trigger.detail}, preparing test email`);
       
-      const jobsForEmail = await jobQueue.getNextBatch(jobThreshold);
-      console.log(`📧 Selected ${jobsForEmail.length} jobs for email (FIFO by pubDate)`);
+      const jobsForEmail = await jobQueue.getNextBatch(batchPolicy);
+      console.log(`📧 Selected ${jobsForEmail.length} jobs for email (pinned first, then by priority and pubDate)`);
       
       if (jobsForEmail.length > 0) {
         console.log(`📅 Date range: ${jobsForEmail[0].pubDate} to ${jobsForEmail[jobsForEmail.length - 1].pubDate}`);
@@ -52,7 +71,7 @@ export default async (req, context) => {
         
         console.log('🔄 Fetching fresh job details for email content...');
         const jobGuids = jobsForEmail.map(job => job.guid);
-        const jobs = await rssParser.fetchJobDetails(jobGuids);
+        const jobs = await rssParser.fetchJobDetails(jobsForEmail);
         console.log(`📋 Retrieved ${jobs.length} job details for email`);
         
         if (jobs.length > 0) {
@@ -61,13 +80,14 @@ export default async (req, context) => {
           const htmlContent = await emailService.generateEmailContent(jobs);
           console.log('✅ Generated email HTML content');
           
-          // SIMULATE EMAIL SEND: Mark these jobs as sent in the queue
+          // SIMULATE EMAIL SEND: Reserve these jobs and mark them as sent in the queue
           console.log('📤 Simulating email send - marking jobs as sent...');
-          const jobGuids = jobsForEmail.map(job => job.guid);
-          const markResult = await jobQueue.markAsSent(jobGuids);
-          console.log(`✅ Marked ${jobGuids.length} jobs as sent: ${markResult}`);
+          const reservation = await jobQueue.reserveJobs(jobs.map(job => job.guid));
+          const sentGuids = reservation.guids;
+          const markResult = await jobQueue.markAsSent(sentGuids, { reservationId: reservation.id });
+          console.log(`✅ Marked ${sentGuids.length} jobs as sent: ${markResult}`);
           
-          const finalStats = await jobQueue.getQueueStats();
+          const finalStats = await jobQueue.getQueueStats(batchPolicy);
           console.log(`📊 Updated queue: ${finalStats.pendingJobs} pending, ${finalStats.sentJobs} sent`);
           
           return new Response(htmlContent, {
@@ -76,6 +96,11 @@ export default async (req, context) => {
               'Content-Type': 'text/html',
               'X-Jobs-Count': jobs.length.toString(),
               'X-Jobs-Sent': 'true',
+              'X-Jobs-Missing': (jobsForEmail.length - jobs.length).toString(),
+              'X-Run-Id': jobQueue.runId,
+              'X-Batch-Policy': batchPolicy.id,
+              'X-Send-Trigger': plan.trigger.reason,
+              'X-Run-Degraded': (rssParser.getRunIssues().length > 0).toString(),
               'X-Queue-Stats': JSON.stringify(finalStats)
             }
           });
@@ -96,6 +121,7 @@ export default async (req, context) => {
         return new Response(JSON.stringify({
           success: false,
           message: 'Threshold reached but no jobs available for email',
+          trigger: plan.trigger,
           pendingJobs: pendingCount,
           queueStats: queueStats
         }), {
@@ -104,17 +130,25 @@ export default async (req, context) => {
         });
       }
     } else {
-      const needed = jobThreshold - pendingCount;
+      const needed = plan.needed;
       const statusMessage = `Not enough jobs yet. Have ${pendingCount}, need ${needed} more for email.`;
       console.log(`⏳ ${statusMessage}`);
       
-      const sampleJobs = await jobQueue.getNextBatch(Math.min(pendingCount, 5));
+      const sampleJobs = (await jobQueue.getNextBatch(batchPolicy)).slice(0, 5);
       
       return new Response(JSON.stringify({
         success: false,
         message: statusMessage,
+        runId: jobQueue.runId,
         currentCount: pendingCount,
         needed: needed,
+        batchPolicy: batchPolicy.id,
+        droppedJobs: droppedJobs,
+        degraded: rssParser.getRunIssues().length > 0,
+        issues: rssParser.getRunIssues(),
+        lifecycle: lifecycle,
+        contentChanges: contentChanges,
+        recovery: recovery,
         queueStats: queueStats,
         sampleJobs: sampleJobs.map(job => ({
           guid: job.guid.substring(0, 8) + '...',
@@ -0,0 +1,80 @@
+// Validates every rules file in config/extraction-rules and runs each saved
+// sample (samples/<name>.expected.json) through the parser, comparing the
+// extracted fields with the expected values.
+//
+//   npm run rules:check
+//   npm run rules:check -- crelate
+
+import fs from 'fs';
+import path from 'path';
+import { resolveConfigPath } from '../src/config-loader.js';
+import ExtractionRules from '../src/extraction-rules.js';
+import FeedRegistry from '../src/feed-registry.js';
+import RSSParserV2 from '../src/rss-parser-v2.js';
+
+const rulesDir = resolveConfigPath('extraction-rules');
+const samplesDir = path.join(rulesDir, 'samples');
+const only = process.argv[2] || null;
+
+let failures = 0;
+
+for (const file of fs.readdirSync(rulesDir).filter(name => name.endsWith('.json'))) {
+  try {
+    ExtractionRules.fromFile(file);
+    console.log(`✅ ${file} is valid`);
+  } catch (error) {
+    failures++;
+    console.error(`❌ ${error.message}`);
+  }
+}
+
+const sampleFiles = fs.existsSync(samplesDir)
+  ? fs.readdirSync(samplesDir).filter(name => name.endsWith('.expected.json'))
+  : [];
+
+for (const file of sampleFiles) {
+  const name = file.replace(/\.expected\.json$/, '');
+  if (only && name !== only) continue;
+
+  const expectation = JSON.parse(fs.readFileSync(path.join(samplesDir, file), 'utf8'));
+  const registry = new FeedRegistry([{
+    id: `sample-${name}`,
+    format: expectation.format || 'rss',
+    url: `file://${path.join(samplesDir, expectation.document)}`,
+    rulesFile: expectation.rules
+  }]);
+  const parser = new RSSParserV2(registry);
+  const feed = registry.getDefaultFeed();
+  const document = fs.readFileSync(path.join(samplesDir, expectation.document), 'utf8');
+  const { items, dropped } = await parser.adapters.get(feed.id).parseDocument(document);
+  if (dropped.length > 0) {
+    failures++;
+    console.error(`❌ ${name}: ${dropped.length} item(s) in ${expectation.document} could not be parsed`);
+  }
+
+  for (const [guid, expected] of Object.entries(expectation.items)) {
+    const item = items.find(candidate => parser.resolveGuid(candidate) === guid);
+    if (!item) {
+      failures++;
+      console.error(`❌ ${name}: sample item ${guid} not found in ${expectation.document}`);
+      continue;
+    }
+
+    const job = parser.parseJobDetails(item, feed);
+    for (const [field, value] of Object.entries(expected)) {
+      if (JSON.stringify(job[field]) !== JSON.stringify(value)) {
+        failures++;
+        console.error(`❌ ${name}: ${guid} ${field}\n     expected: ${JSON.stringify(value)}\n     actual:   ${JSON.stringify(job[field])}`);
+      }
+    }
+  }
+
+  console.log(`Checked ${Object.keys(expectation.items).length} sample item(s) for ${name}`);
+}
+
+if (failures > 0) {
+  console.error(`\n${failures} extraction rule check(s) failed`);
+  process.exit(1);
+}
+
+console.log('\nAll extraction rule checks passed');
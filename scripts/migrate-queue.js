@@ -0,0 +1,40 @@
+// Shows the job queue's schema version and applies any pending migrations
+// (see src/queue-migrations.js). The queue also migrates itself on first use;
+// this runs the steps on demand, e.g. right after a deploy. With --status it
+// only reports.
+//
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:migrate
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:migrate -- --status
+
+import JobQueueManager from '../src/job-queue-manager.js';
+
+const statusOnly = process.argv.includes('--status');
+
+try {
+  const jobQueue = new JobQueueManager({ actor: 'migrate-queue' });
+  const status = await jobQueue.getSchemaStatus();
+  console.log(`Job queue schema version ${status.schemaVersion} (latest ${status.latestVersion})`);
+
+  if (status.migrations.length > 0) {
+    console.table(status.migrations.map(({ version, name, appliedAt, result }) => ({
+      version,
+      name,
+      appliedAt,
+      result: result ? JSON.stringify(result) : ''
+    })));
+  }
+
+  if (status.pending.length === 0) {
+    console.log('No pending migrations');
+  } else if (statusOnly) {
+    console.log('Pending migrations:');
+    status.pending.forEach(step => console.log(`  ${step.version} ${step.name}: ${step.description}`));
+  } else {
+    const { applied } = await jobQueue.ensureLayout();
+    applied.forEach(step => console.log(`Applied ${step.version} ${step.name}: ${JSON.stringify(step.result)}`));
+  }
+
+} catch (error) {
+  console.error(`❌ Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,16 @@
+// Recreates the job queue index from the per-job records. Run it when stats or
+// batches disagree with the records, e.g. after a run died mid-write.
+//
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:rebuild-index
+
+import JobQueueManager from '../src/job-queue-manager.js';
+
+try {
+  const jobQueue = new JobQueueManager({ actor: 'rebuild-queue-index' });
+  await jobQueue.rebuildIndex();
+  console.log(JSON.stringify(await jobQueue.getQueueStats(), null, 2));
+
+} catch (error) {
+  console.error(`❌ Rebuild failed: ${error.message}`);
+  process.exit(1);
+}
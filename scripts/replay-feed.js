@@ -0,0 +1,37 @@
+// Runs the feed half of a scheduler run (fetch, extract, health report)
+// without touching the job queue, using whatever FEED_SOURCE_MODE selects.
+//
+//   FEED_SOURCE_MODE=fixture FEED_SOURCE_AT=2026-10-05T09:00:00Z npm run feeds:replay
+//   FEED_SOURCE_MODE=file FEED_SOURCE_PATH=./bad-run.xml npm run feeds:replay
+//   FEED_SOURCE_MODE=file FEED_SOURCE_PATH=./bad-run.xml npm run feeds:replay -- --jobs
+
+import RSSParserV2 from '../src/rss-parser-v2.js';
+import { getSourceMode } from '../src/feed-sources.js';
+
+const showJobs = process.argv.includes('--jobs');
+
+try {
+  console.log(`Feed source mode: ${getSourceMode()}`);
+
+  const parser = new RSSParserV2();
+  const metadata = await parser.fetchJobMetadata();
+
+  for (const [feedId, result] of parser.loadedFeeds) {
+    console.log(`\n${feedId}: ${result.items.length} items from ${result.source}${result.fixture ? ` (${result.fixture})` : ''}`);
+  }
+
+  console.log('\nHealth reports:');
+  console.log(JSON.stringify(parser.getHealthReports(), null, 2));
+
+  if (showJobs) {
+    const details = await parser.fetchJobDetails(metadata.map(job => ({ guid: job.guid, sourceId: job.sourceId })));
+    console.log('\nJobs:');
+    console.log(JSON.stringify(details, null, 2));
+  } else {
+    console.log(`\n${metadata.length} jobs extracted (pass --jobs for full details)`);
+  }
+
+} catch (error) {
+  console.error(`❌ Replay failed: ${error.message}`);
+  process.exit(1);
+}
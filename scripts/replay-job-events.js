@@ -0,0 +1,45 @@
+// Rebuilds job queue state from the audit log and compares it with the queue.
+// Without --write it only reports the differences; with --write it restores
+// the replayed records and counters and rebuilds the index. Jobs with no
+// events (untouched since the log was introduced) are left as they are.
+//
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:replay-events
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:replay-events -- --write
+
+import JobQueueManager from '../src/job-queue-manager.js';
+
+const write = process.argv.includes('--write');
+
+try {
+  const jobQueue = new JobQueueManager({ actor: 'replay-job-events' });
+  const replayed = await jobQueue.getEventLog().replay();
+  console.log(`Replayed ${replayed.eventCount} events covering ${replayed.records.size} jobs`);
+
+  const { jobQueue: current } = await jobQueue.getJobQueue();
+  const currentByGuid = new Map(current.map(job => [job.guid, job]));
+  const differences = [];
+
+  for (const [guid, record] of replayed.records) {
+    const existing = currentByGuid.get(guid) || null;
+    if (JSON.stringify(existing) === JSON.stringify(record)) continue;
+    differences.push({
+      guid,
+      queue: existing ? `${existing.status} (rev ${existing.rev || 1})` : 'missing',
+      log: record ? `${record.status} (rev ${record.rev || 1})` : 'removed'
+    });
+  }
+  const unlogged = current.filter(job => !replayed.records.has(job.guid)).length;
+
+  console.log(`${differences.length} jobs differ from the queue; ${unlogged} queued jobs have no events`);
+  if (differences.length > 0) console.table(differences);
+
+  if (write) {
+    await jobQueue.restoreState(replayed, 'replaying the audit log');
+  } else if (differences.length > 0) {
+    console.log('Pass --write to restore the replayed state');
+  }
+
+} catch (error) {
+  console.error(`❌ Replay failed: ${error.message}`);
+  process.exit(1);
+}
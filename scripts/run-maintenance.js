@@ -0,0 +1,35 @@
+// Runs queue maintenance (retention and audit log pruning, see
+// src/queue-maintenance.js) now. --dry-run reports what would be removed
+// without changing anything; --reports lists the latest reports instead.
+//
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:maintenance -- --dry-run
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:maintenance
+//   NETLIFY_SITE_ID=... NETLIFY_AUTH_TOKEN=... npm run queue:maintenance -- --reports
+
+import JobQueueManager from '../src/job-queue-manager.js';
+import QueueMaintenance from '../src/queue-maintenance.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  const maintenance = new QueueMaintenance();
+
+  if (process.argv.includes('--reports')) {
+    const reports = await maintenance.listReports();
+    console.table(reports.map(report => ({
+      startedAt: report.startedAt,
+      jobsRemoved: report.jobs ? report.jobs.removed : null,
+      eventsPruned: report.events ? report.events.jobEvents + report.events.counterEvents : null,
+      errors: report.errors.length
+    })));
+    process.exit(0);
+  }
+
+  const report = await maintenance.run(new JobQueueManager({ actor: 'run-maintenance' }), { dryRun });
+  console.log(JSON.stringify(report, null, 2));
+  if (report.errors.length > 0) process.exit(1);
+
+} catch (error) {
+  console.error(`❌ Maintenance failed: ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,25 @@
+// Operator endpoints require `Authorization: Bearer <ADMIN_API_TOKEN>`.
+// Returns a Response to send back when the request is not allowed, or null.
+export function authorizeAdminRequest(req) {
+  const expected = process.env.ADMIN_API_TOKEN;
+
+  if (!expected) {
+    console.error('❌ ADMIN_API_TOKEN is not set, refusing operator request');
+    return jsonResponse({ success: false, error: 'Operator endpoints are disabled: ADMIN_API_TOKEN is not set' }, 503);
+  }
+
+  const header = req.headers.get('authorization') || '';
+  const token = header.replace(/^Bearer\s+/i, '');
+  if (token !== expected) {
+    return jsonResponse({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  return null;
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
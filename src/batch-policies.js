@@ -0,0 +1,137 @@
+import { loadJsonConfig, loadJsonFromEnv } from './config-loader.js';
+
+// Named rules for composing an email batch, shared by the scheduler, the test
+// function and the queue stats. BATCH_POLICY picks the policy a run uses;
+// otherwise the config's `defaultPolicy`, otherwise the first one.
+//
+// { "id": "weekly", "minSize": 10, "maxSize": 10,
+//   "diversity": { "by": "category", "max": 3 },
+//   "maxAgeDays": 45, "tooOld": "drop",
+//   "flush": { "oldestPendingDays": 14, "daysSinceLastEmail": 21, "minSize": 3 } }
+//
+//   minSize     Sendable jobs needed before an email goes out
+//   maxSize     Most jobs in one email
+//   diversity   At most `max` jobs sharing a category or location
+//   maxAgeDays  Jobs published longer ago are never selected (pinned jobs
+//               excepted). "drop" moves them to `skipped`; "hold" leaves them
+//               pending for another policy or a later change.
+//   flush       Sends a smaller batch of at least `minSize` jobs once the
+//               oldest sendable job is `oldestPendingDays` old or the last
+//               email went out `daysSinceLastEmail` ago.
+
+const SUPPORTED_DIVERSITY = ['category', 'location'];
+const SUPPORTED_TOO_OLD = ['hold', 'drop'];
+
+class BatchPolicies {
+  constructor(config = null) {
+    const { defaultPolicy, policies } = config || BatchPolicies.loadConfig();
+
+    this.policies = new Map();
+    for (const policy of policies.map(policy => this.validatePolicy(policy))) {
+      if (this.policies.has(policy.id)) {
+        throw new Error(`Batch policy "${policy.id}" is defined twice`);
+      }
+      this.policies.set(policy.id, policy);
+    }
+
+    if (this.policies.size === 0) {
+      throw new Error('No batch policies configured');
+    }
+
+    this.defaultPolicy = defaultPolicy || this.policies.keys().next().value;
+    if (!this.policies.has(this.defaultPolicy)) {
+      throw new Error(`Default batch policy "${this.defaultPolicy}" is not defined`);
+    }
+  }
+
+  static defaultConfig() {
+    return { defaultPolicy: 'default', policies: [{ id: 'default' }] };
+  }
+
+  static loadConfig() {
+    const fromEnv = loadJsonFromEnv('JOB_BATCH_POLICIES');
+    const config = fromEnv || loadJsonConfig('batch-policies.json', { optional: true });
+    if (!config) return BatchPolicies.defaultConfig();
+
+    return Array.isArray(config)
+      ? { defaultPolicy: null, policies: config }
+      : { defaultPolicy: config.defaultPolicy || null, policies: config.policies || [] };
+  }
+
+  validatePolicy(policy) {
+    if (!policy || !policy.id) {
+      throw new Error('Batch policy is missing an id');
+    }
+
+    // JOB_THRESHOLD sizes policies that do not set their own.
+    const minSize = policy.minSize ?? (parseInt(process.env.JOB_THRESHOLD) || 10);
+    const maxSize = policy.maxSize ?? minSize;
+
+    if (!Number.isInteger(minSize) || minSize < 1) {
+      throw new Error(`Batch policy ${policy.id} needs a positive integer minSize`);
+    }
+    if (!Number.isInteger(maxSize) || maxSize < minSize) {
+      throw new Error(`Batch policy ${policy.id} needs an integer maxSize of at least minSize (${minSize})`);
+    }
+    if (policy.diversity && (!SUPPORTED_DIVERSITY.includes(policy.diversity.by) || !(policy.diversity.max >= 1))) {
+      throw new Error(`Batch policy ${policy.id} needs diversity.by (${SUPPORTED_DIVERSITY.join(' or ')}) and a diversity.max of at least 1`);
+    }
+    if (policy.maxAgeDays !== undefined && policy.maxAgeDays !== null && !(policy.maxAgeDays > 0)) {
+      throw new Error(`Batch policy ${policy.id} has an invalid maxAgeDays "${policy.maxAgeDays}"`);
+    }
+
+    const flush = policy.flush ? this.validateFlush(policy.id, policy.flush, minSize) : null;
+
+    const tooOld = policy.tooOld || 'hold';
+    if (!SUPPORTED_TOO_OLD.includes(tooOld)) {
+      throw new Error(`Batch policy ${policy.id} has unsupported tooOld "${tooOld}" (expected hold or drop)`);
+    }
+
+    return {
+      id: policy.id,
+      minSize,
+      maxSize,
+      diversity: policy.diversity ? { by: policy.diversity.by, max: policy.diversity.max } : null,
+      maxAgeDays: policy.maxAgeDays || null,
+      tooOld,
+      flush
+    };
+  }
+
+  validateFlush(policyId, flush, minSize) {
+    const flushMinSize = flush.minSize ?? 1;
+
+    if (!flush.oldestPendingDays && !flush.daysSinceLastEmail) {
+      throw new Error(`Batch policy ${policyId} flush needs oldestPendingDays and/or daysSinceLastEmail`);
+    }
+    for (const field of ['oldestPendingDays', 'daysSinceLastEmail']) {
+      if (flush[field] !== undefined && flush[field] !== null && !(flush[field] > 0)) {
+        throw new Error(`Batch policy ${policyId} has an invalid flush.${field} "${flush[field]}"`);
+      }
+    }
+    if (!Number.isInteger(flushMinSize) || flushMinSize < 1 || flushMinSize > minSize) {
+      throw new Error(`Batch policy ${policyId} needs a flush.minSize between 1 and minSize (${minSize})`);
+    }
+
+    return {
+      oldestPendingDays: flush.oldestPendingDays || null,
+      daysSinceLastEmail: flush.daysSinceLastEmail || null,
+      minSize: flushMinSize
+    };
+  }
+
+  getPolicy(name = null) {
+    const id = name || process.env.BATCH_POLICY || this.defaultPolicy;
+    const policy = this.policies.get(id);
+    if (!policy) {
+      throw new Error(`Unknown batch policy "${id}" (expected one of ${Array.from(this.policies.keys()).join(', ')})`);
+    }
+    return policy;
+  }
+
+  listPolicies() {
+    return Array.from(this.policies.values());
+  }
+}
+
+export default BatchPolicies;
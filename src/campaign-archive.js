@@ -0,0 +1,108 @@
+import { createStorage } from './storage-adapters.js';
+
+// Every campaign the job email sends, kept in the "campaign-archive" store:
+//
+//   campaigns/<archivedAt>-<campaignId>  What went out: subject and campaign
+//                           settings, job guids with the details they were
+//                           rendered from, batch policy, trigger, run and send
+//                           status
+//   ids/<campaignId>        { key } of the campaign's record
+//   html/<campaignId>       { html } exactly as handed to Mailchimp
+//
+// Record keys start with the time so the newest can be listed without loading
+// the rest.
+//
+// A record is written before the campaign is sent, with status `created`, and
+// moves to `sent` or `unsent` once the outcome is known.
+
+const CAMPAIGN_PREFIX = 'campaigns/';
+const ID_PREFIX = 'ids/';
+const HTML_PREFIX = 'html/';
+const WRITE_ATTEMPTS = 5;
+
+class CampaignArchive {
+  constructor() {
+    this.storeName = 'campaign-archive';
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(this.storeName);
+    }
+    return this.storage;
+  }
+
+  campaignKey(campaignId, archivedAt) {
+    return `${CAMPAIGN_PREFIX}${archivedAt}-${encodeURIComponent(campaignId)}`;
+  }
+
+  idKey(campaignId) {
+    return `${ID_PREFIX}${encodeURIComponent(campaignId)}`;
+  }
+
+  async findKey(campaignId) {
+    const pointer = await this.getStorage().get(this.idKey(campaignId));
+    return pointer ? pointer.key : null;
+  }
+
+  htmlKey(campaignId) {
+    return `${HTML_PREFIX}${encodeURIComponent(campaignId)}`;
+  }
+
+  // The HTML is written first so a record never points at a missing snapshot,
+  // and the record before its id pointer.
+  async save(record, html) {
+    try {
+      const storage = this.getStorage();
+      const archivedAt = new Date().toISOString();
+      const key = this.campaignKey(record.campaignId, archivedAt);
+      await storage.set(this.htmlKey(record.campaignId), { html });
+      await storage.set(key, { ...record, htmlLength: html.length, archivedAt });
+      await storage.set(this.idKey(record.campaignId), { key });
+      console.log(`🗄️ Archived campaign ${record.campaignId} (${record.jobGuids.length} jobs)`);
+
+    } catch (error) {
+      throw new Error(`Failed to archive campaign ${record.campaignId}: ${error.message}`);
+    }
+  }
+
+  // Resolves to the updated record, or null when the campaign is not archived.
+  async updateStatus(campaignId, status, details = {}) {
+    const storage = this.getStorage();
+    const key = await this.findKey(campaignId);
+    if (!key) return null;
+
+    for (let attempt = 1; attempt <= WRITE_ATTEMPTS; attempt++) {
+      const { data, tag } = await storage.getWithTag(key);
+      if (!data) return null;
+
+      const record = { ...data, ...details, status, statusChangedAt: new Date().toISOString() };
+      if (await storage.set(key, record, { onlyIfMatch: tag })) return record;
+    }
+
+    throw new Error(`Campaign archive record ${campaignId} kept changing and ${WRITE_ATTEMPTS} attempts failed`);
+  }
+
+  // Newest archived first, without the per-job details.
+  async list({ limit = 50 } = {}) {
+    const storage = this.getStorage();
+    const keys = (await storage.list(CAMPAIGN_PREFIX)).sort().reverse().slice(0, limit);
+    const records = (await Promise.all(keys.map(key => storage.get(key)))).filter(Boolean);
+    return records.map(({ jobs, ...summary }) => summary);
+  }
+
+  async get(campaignId, { includeHtml = false } = {}) {
+    const key = await this.findKey(campaignId);
+    const record = key ? await this.getStorage().get(key) : null;
+    if (!record || !includeHtml) return record;
+    return { ...record, html: await this.getHtml(campaignId) };
+  }
+
+  async getHtml(campaignId) {
+    const snapshot = await this.getStorage().get(this.htmlKey(campaignId));
+    return snapshot ? snapshot.html : null;
+  }
+}
+
+export default CampaignArchive;
@@ -0,0 +1,113 @@
+import { loadJsonConfig, loadJsonFromEnv } from './config-loader.js';
+import SalaryParser from './salary-parser.js';
+
+// Decides what to do when a posting's content changes under the same GUID.
+// A rule matches on the changed field, the direction of the change and the
+// job's current status; the first matching rule wins, otherwise the change is
+// only recorded.
+//
+// { "id": "salary-raise", "field": "salary", "when": "increased",
+//   "statuses": ["sent"], "action": "requeue", "badge": "Updated" }
+
+const DEFAULT_RULES = [
+  {
+    id: 'salary-increase-requeue',
+    field: 'salary',
+    when: 'increased',
+    statuses: ['sent'],
+    action: 'requeue',
+    badge: 'Updated'
+  }
+];
+
+const SUPPORTED_ACTIONS = ['record', 'requeue'];
+const SUPPORTED_CONDITIONS = ['changed', 'increased', 'decreased'];
+
+class ChangeRuleEngine {
+  constructor(rules = null) {
+    this.salaryParser = new SalaryParser();
+    this.rules = (rules || ChangeRuleEngine.loadRules()).map(rule => this.validateRule(rule));
+  }
+
+  static loadRules() {
+    const fromEnv = loadJsonFromEnv('JOB_CHANGE_RULES');
+    if (fromEnv) return Array.isArray(fromEnv) ? fromEnv : fromEnv.rules || [];
+
+    const fromFile = loadJsonConfig('change-rules.json', { optional: true });
+    if (fromFile) return Array.isArray(fromFile) ? fromFile : fromFile.rules || [];
+
+    return DEFAULT_RULES;
+  }
+
+  validateRule(rule) {
+    if (!rule || !rule.field) {
+      throw new Error(`Change rule ${rule?.id || '(unnamed)'} is missing a field`);
+    }
+
+    const when = rule.when || 'changed';
+    const action = rule.action || 'record';
+
+    if (!SUPPORTED_CONDITIONS.includes(when)) {
+      throw new Error(`Change rule ${rule.id || rule.field} has unsupported condition "${when}"`);
+    }
+    if (!SUPPORTED_ACTIONS.includes(action)) {
+      throw new Error(`Change rule ${rule.id || rule.field} has unsupported action "${action}"`);
+    }
+
+    return {
+      id: rule.id || `${rule.field}-${when}`,
+      field: rule.field,
+      when,
+      statuses: rule.statuses || null,
+      action,
+      badge: rule.badge || null
+    };
+  }
+
+  // Returns { field: { from, to } } for every tracked field that differs.
+  diff(previousContent = {}, currentContent = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(previousContent), ...Object.keys(currentContent)]);
+
+    for (const field of fields) {
+      const from = previousContent[field] ?? null;
+      const to = currentContent[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  direction(field, change) {
+    const from = this.toComparable(field, change.from);
+    const to = this.toComparable(field, change.to);
+
+    if (from === null || to === null || from === to) return 'changed';
+    return to > from ? 'increased' : 'decreased';
+  }
+
+  toComparable(field, value) {
+    if (value === null || value === undefined) return null;
+    if (field === 'salary') return this.salaryParser.toAnnual(value);
+    return typeof value === 'number' ? value : null;
+  }
+
+  evaluate(job, changes) {
+    for (const rule of this.rules) {
+      const change = changes[rule.field];
+      if (!change) continue;
+      if (rule.statuses && !rule.statuses.includes(job.status)) continue;
+
+      const direction = this.direction(rule.field, change);
+      if (rule.when === 'changed' || rule.when === direction) {
+        return { ...rule, direction };
+      }
+    }
+
+    return { id: null, action: 'record', badge: null };
+  }
+}
+
+export default ChangeRuleEngine;
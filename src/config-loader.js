@@ -0,0 +1,39 @@
+import fs from 'fs';
+import path from 'path';
+
+// Config files live in /config and are shipped with every function through
+// `included_files` in netlify.toml. CONFIG_DIR overrides the location for
+// local runs and scripts.
+export function getConfigDir() {
+  return process.env.CONFIG_DIR || path.join(process.cwd(), 'config');
+}
+
+export function resolveConfigPath(relativePath) {
+  return path.isAbsolute(relativePath) ? relativePath : path.join(getConfigDir(), relativePath);
+}
+
+export function loadJsonConfig(relativePath, { optional = false } = {}) {
+  const filePath = resolveConfigPath(relativePath);
+
+  if (!fs.existsSync(filePath)) {
+    if (optional) return null;
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${filePath}: ${error.message}`);
+  }
+}
+
+export function loadJsonFromEnv(variableName) {
+  const value = process.env[variableName];
+  if (!value) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${variableName} environment variable: ${error.message}`);
+  }
+}
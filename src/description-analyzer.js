@@ -0,0 +1,227 @@
+// Splits a job description into sections (about, responsibilities,
+// requirements, benefits) using its HTML structure: headings, bold lead-ins,
+// "Requirements:" style labels and list items. Plain-text descriptions are
+// handled line by line, with "-", "*" and "•" lines treated as list items.
+//
+// analyze(html) returns { summary, sections, highlights } where `summary` is
+// capped on a word boundary and `highlights` are the first list items from
+// the responsibilities and requirements sections.
+
+const SECTION_PATTERNS = [
+  ['responsibilities', /\b(?:responsibilit|duties|what you(?:'|’)?ll do|day[- ]to[- ]day|the role includes|essential functions)/i],
+  ['requirements', /\b(?:requirement|qualification|skills|what you(?:'|’)?ll need|what we(?:'|’)?re looking for|must have|experience required|education)/i],
+  ['benefits', /\b(?:benefits|perks|we offer|compensation)\b/i],
+  ['about', /\b(?:about|overview|summary|description|the role|the position|the company|who we are|our client)\b/i]
+];
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'br', 'li', 'ul', 'ol', 'tr', 'table', 'section', 'article',
+  'header', 'blockquote', 'dd', 'dt', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+const EMPHASIS_TAGS = new Set(['strong', 'b', 'u']);
+const HEADING_TAGS = /^h[1-6]$/;
+
+const BULLET_PREFIX = /^\s*(?:[•·▪●◦■*-]|\d+[.)])\s+/;
+const MAX_HEADING_LENGTH = 60;
+const ABBREVIATIONS = /\b(?:inc|ltd|llc|co|corp|jr|sr|st|mr|ms|mrs|dr|no|approx|etc|e\.g|i\.e|vs)\.$/i;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', ndash: '–', mdash: '—',
+  bull: '•', hellip: '…', middot: '·'
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => NAMED_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Cuts at the last space before `maxLength` so words are never split.
+export function truncateWords(text, maxLength) {
+  if (!text || text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  const trimmed = (lastSpace > 0 ? cut.slice(0, lastSpace) : text.slice(0, maxLength))
+    .replace(/[\s,;:–—-]+$/, '');
+  return `${trimmed}…`;
+}
+
+export function splitSentences(text) {
+  const sentences = [];
+  let current = '';
+
+  for (const token of text.split(/(?<=[.!?])\s+(?=["“(]?[A-Z0-9$])/)) {
+    current = current ? `${current} ${token}` : token;
+    // "Smith & Co. is hiring" is one sentence.
+    if (ABBREVIATIONS.test(current)) continue;
+    sentences.push(current);
+    current = '';
+  }
+
+  if (current) sentences.push(current);
+  return sentences;
+}
+
+class DescriptionAnalyzer {
+  constructor({ maxSummaryLength = 200, maxHighlights = 3, maxHighlightLength = 100 } = {}) {
+    this.maxSummaryLength = maxSummaryLength;
+    this.maxHighlights = maxHighlights;
+    this.maxHighlightLength = maxHighlightLength;
+  }
+
+  analyze(html, { maxSummaryLength = this.maxSummaryLength, maxHighlights = this.maxHighlights } = {}) {
+    const sections = this.buildSections(this.toBlocks(html || ''));
+
+    return {
+      summary: this.buildSummary(sections, maxSummaryLength),
+      sections: Object.fromEntries(
+        Object.entries(sections).map(([name, section]) => [name, {
+          text: section.text.join(' '),
+          items: section.items
+        }])
+      ),
+      highlights: this.buildHighlights(sections, maxHighlights)
+    };
+  }
+
+  // Flattens the HTML into { type: 'heading' | 'item' | 'text', text } blocks.
+  toBlocks(html) {
+    const blocks = [];
+    const plainText = !/<(?:p|div|br|li|h[1-6])\b/i.test(html);
+
+    let text = '';
+    let emphasized = '';
+    let emphasisDepth = 0;
+    let inItem = false;
+    let inHeading = false;
+
+    const pushLine = (line, type, isEmphasized) => {
+      const normalized = normalizeSpace(line);
+      if (!normalized) return;
+
+      if (type === 'text' && BULLET_PREFIX.test(normalized)) {
+        blocks.push({ type: 'item', text: normalized.replace(BULLET_PREFIX, '') });
+      } else if (type === 'text' && this.looksLikeHeading(normalized, isEmphasized)) {
+        blocks.push({ type: 'heading', text: normalized.replace(/:$/, '') });
+      } else {
+        blocks.push(...this.splitInlineLabel({ type, text: normalized }));
+      }
+    };
+
+    const flush = () => {
+      const type = inHeading ? 'heading' : inItem ? 'item' : 'text';
+      const isEmphasized = normalizeSpace(emphasized) !== '' && normalizeSpace(emphasized) === normalizeSpace(text);
+      const lines = plainText ? text.split(/\n+/) : [text];
+      lines.forEach(line => pushLine(line, type, isEmphasized));
+      text = '';
+      emphasized = '';
+    };
+
+    for (const [, closing, tagName, content] of html.matchAll(/<(\/?)([a-z][a-z0-9]*)[^>]*>|([^<]+)/gi)) {
+      if (content !== undefined) {
+        const decoded = decodeEntities(content);
+        text += decoded;
+        if (emphasisDepth > 0) emphasized += decoded;
+        continue;
+      }
+
+      const tag = tagName.toLowerCase();
+      if (EMPHASIS_TAGS.has(tag)) {
+        emphasisDepth = Math.max(0, emphasisDepth + (closing ? -1 : 1));
+      } else if (BLOCK_TAGS.has(tag)) {
+        flush();
+        if (tag === 'li') inItem = !closing;
+        if (HEADING_TAGS.test(tag)) inHeading = !closing;
+      }
+    }
+    flush();
+
+    return blocks;
+  }
+
+  looksLikeHeading(text, isEmphasized) {
+    if (text.length > MAX_HEADING_LENGTH) return false;
+    if (isEmphasized) return true;
+    return text.endsWith(':') && this.sectionFor(text) !== null;
+  }
+
+  // "Requirements: 3+ years of..." becomes a heading followed by its text.
+  splitInlineLabel(block) {
+    if (block.type !== 'text') return [block];
+
+    const match = block.text.match(/^([^:]{3,40}):\s+(.+)$/);
+    if (!match || this.sectionFor(match[1]) === null) return [block];
+
+    return [{ type: 'heading', text: match[1] }, { type: 'text', text: match[2] }];
+  }
+
+  sectionFor(heading) {
+    const entry = SECTION_PATTERNS.find(([, pattern]) => pattern.test(heading));
+    return entry ? entry[0] : null;
+  }
+
+  // Text before the first heading is treated as the "about" section.
+  buildSections(blocks) {
+    const sections = {
+      about: { text: [], items: [] },
+      responsibilities: { text: [], items: [] },
+      requirements: { text: [], items: [] },
+      benefits: { text: [], items: [] },
+      other: { text: [], items: [] }
+    };
+
+    let current = 'about';
+    for (const block of blocks) {
+      if (block.type === 'heading') {
+        current = this.sectionFor(block.text) || 'other';
+      } else if (block.type === 'item') {
+        sections[current].items.push(block.text);
+      } else {
+        sections[current].text.push(block.text);
+      }
+    }
+
+    return sections;
+  }
+
+  buildSummary(sections, maxLength) {
+    const source = [sections.about, sections.other, sections.responsibilities]
+      .map(section => section.text.join(' '))
+      .find(text => text.length > 0);
+    if (!source) return null;
+
+    const sentences = splitSentences(source);
+    let summary = '';
+    for (const sentence of sentences) {
+      const candidate = summary ? `${summary} ${sentence}` : sentence;
+      if (candidate.length > maxLength) break;
+      summary = candidate;
+    }
+
+    return summary || truncateWords(sentences[0], maxLength);
+  }
+
+  // Alternates between responsibilities and requirements so the card shows a
+  // bit of both.
+  buildHighlights(sections, maxHighlights) {
+    const lists = [sections.responsibilities.items, sections.requirements.items];
+    const highlights = [];
+
+    for (let index = 0; highlights.length < maxHighlights; index++) {
+      const next = lists.map(items => items[index]).filter(Boolean);
+      if (next.length === 0) break;
+      highlights.push(...next.map(item => truncateWords(item.replace(/[.;]$/, ''), this.maxHighlightLength)));
+    }
+
+    return highlights.slice(0, maxHighlights);
+  }
+}
+
+export default DescriptionAnalyzer;
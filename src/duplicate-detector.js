@@ -0,0 +1,159 @@
+// Recognises a reposted job whose GUID changed by matching it against known
+// queue entries on the feed's job number, the apply URL and a normalized
+// title+location fingerprint. Stronger keys are checked first. Two postings
+// of one feed with different job numbers are never matched, and the
+// fingerprint only matches open entries or those finished within
+// JOB_DUPLICATE_FINGERPRINT_DAYS (default 30), since a common title in a big
+// city is reposted as a new opening too.
+//
+// JOB_DUPLICATE_MATCH_ON limits the keys used, e.g. "jobNumber,applyUrl".
+
+const MATCH_KEYS = ['jobNumber', 'applyUrl', 'fingerprint'];
+const OPEN_STATUSES = ['pending', 'reserved'];
+const UNKNOWN_LOCATION = 'Location not specified';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Suffixes that recruiters add or drop between reposts of the same role.
+const TITLE_NOISE = /\b(?:urgent|immediate(?:ly)?|hiring|new|reposted|full[- ]time|part[- ]time|temp(?:orary)?|contract)\b/g;
+
+function normalizeWords(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+class DuplicateDetector {
+  constructor({ matchOn = null, fingerprintDays = null } = {}) {
+    const configured = matchOn || (process.env.JOB_DUPLICATE_MATCH_ON
+      ? process.env.JOB_DUPLICATE_MATCH_ON.split(',').map(key => key.trim()).filter(Boolean)
+      : MATCH_KEYS);
+
+    const unknown = configured.filter(key => !MATCH_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown duplicate match key(s): ${unknown.join(', ')} (expected ${MATCH_KEYS.join(', ')})`);
+    }
+
+    this.matchOn = MATCH_KEYS.filter(key => configured.includes(key));
+    this.fingerprintDays = fingerprintDays || parseInt(process.env.JOB_DUPLICATE_FINGERPRINT_DAYS) || 30;
+  }
+
+  // Works on both feed metadata and queue entries.
+  buildKeys(job) {
+    const keys = {};
+    const sourceId = job.sourceId || 'default';
+
+    if (job.jobNumber) {
+      keys.jobNumber = `${sourceId}:${String(job.jobNumber).trim().toLowerCase()}`;
+    }
+
+    const applyUrl = this.normalizeUrl(job.applyUrl);
+    if (applyUrl) keys.applyUrl = applyUrl;
+
+    const title = normalizeWords(job.title || job.content?.title).replace(TITLE_NOISE, ' ').replace(/\s+/g, ' ').trim();
+    const location = normalizeWords(this.getKnownLocation(job) || '');
+    if (title && location) keys.fingerprint = `${title}|${location}`;
+
+    return keys;
+  }
+
+  // The location display, unless it is the feed's default text: a normalized
+  // location shows that when nothing was found.
+  getKnownLocation(job) {
+    const location = job.location;
+    if (location && typeof location === 'object' && 'raw' in location) {
+      const found = location.city || location.state || location.country || location.raw || location.workMode;
+      return found ? location.display : null;
+    }
+
+    const display = location?.display || job.content?.location;
+    return display && display !== UNKNOWN_LOCATION ? display : null;
+  }
+
+  // Tracking parameters and fragments differ between reposts of one URL.
+  normalizeUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    try {
+      const parsed = new URL(url);
+      for (const param of Array.from(parsed.searchParams.keys())) {
+        if (/^(?:utm_|ref$|source$|src$)/i.test(param)) parsed.searchParams.delete(param);
+      }
+      const query = parsed.searchParams.toString();
+      return `${parsed.hostname.toLowerCase()}${parsed.pathname.replace(/\/+$/, '').toLowerCase()}${query ? `?${query}` : ''}`;
+    } catch (error) {
+      return url.trim().toLowerCase();
+    }
+  }
+
+  // Indexes the entries a repost may be linked to. Closed jobs are left out so
+  // a role that comes back after closing is treated as a new opening, and
+  // duplicates are left out so chains always point at the first entry.
+  buildIndex(entries, now = new Date()) {
+    const index = Object.fromEntries(this.matchOn.map(key => [key, new Map()]));
+    index.fingerprintCutoff = now.getTime() - this.fingerprintDays * DAY_MS;
+
+    for (const entry of entries) {
+      if (entry.status === 'closed' || entry.status === 'duplicate') continue;
+      this.addToIndex(index, entry);
+    }
+
+    return index;
+  }
+
+  canMatchOnFingerprint(entry, index) {
+    if (OPEN_STATUSES.includes(entry.status)) return true;
+    return Boolean(entry.finishedAt) && new Date(entry.finishedAt).getTime() >= index.fingerprintCutoff;
+  }
+
+  // Queue index entries carry their keys precomputed as `matchKeys`.
+  keysOf(entry) {
+    return entry.matchKeys || this.buildKeys(entry);
+  }
+
+  addToIndex(index, entry) {
+    const keys = this.keysOf(entry);
+    for (const key of this.matchOn) {
+      if (key === 'fingerprint' && !this.canMatchOnFingerprint(entry, index)) continue;
+      if (keys[key] && !index[key].has(keys[key])) {
+        index[key].set(keys[key], entry);
+      }
+    }
+  }
+
+  // Both postings come from one feed and carry their own job numbers.
+  hasOtherJobNumber(job, keys, original, originalKeys) {
+    return Boolean(keys.jobNumber && originalKeys.jobNumber) &&
+      keys.jobNumber !== originalKeys.jobNumber &&
+      (job.sourceId || 'default') === (original.sourceId || 'default');
+  }
+
+  // Returns { original, matchedOn } or null. `matchedOn` lists every key the
+  // two postings share so an operator can judge the match.
+  findMatch(job, index) {
+    const keys = this.buildKeys(job);
+    let original = null;
+    let originalKeys = null;
+
+    for (const key of this.matchOn) {
+      const candidate = keys[key] ? index[key].get(keys[key]) : null;
+      if (!candidate || candidate.guid === job.guid) continue;
+
+      const candidateKeys = this.keysOf(candidate);
+      if (this.hasOtherJobNumber(job, keys, candidate, candidateKeys)) continue;
+      original = candidate;
+      originalKeys = candidateKeys;
+      break;
+    }
+
+    if (!original) return null;
+
+    const matchedOn = this.matchOn.filter(key => keys[key] && keys[key] === originalKeys[key]);
+    return { original, matchedOn };
+  }
+}
+
+export default DuplicateDetector;
@@ -1,14 +1,20 @@
 import mailchimp from '@mailchimp/mailchimp_marketing';
 import RSSParserV2 from './rss-parser-v2.js';
+import SalaryParser from './salary-parser.js';
+import CampaignArchive from './campaign-archive.js';
 
 class EmailServiceV2 {
-  constructor() {
+  constructor(rssParser = null) {
     this.apiKey = process.env.MAILCHIMP_API_KEY;
     this.serverPrefix = process.env.MAILCHIMP_SERVER_PREFIX;
     this.listId = process.env.MAILCHIMP_LIST_ID;
     this.emailSubject = process.env.EMAIL_SUBJECT || 'New Job Opportunities from Elevate Career Group';
     this.adminEmail = process.env.ADMIN_EMAIL;
-    this.rssParser = new RSSParserV2();
+    this.groupByCategory = process.env.EMAIL_GROUP_BY_CATEGORY === 'true';
+    this.highlightCount = parseInt(process.env.EMAIL_HIGHLIGHT_COUNT || '0', 10);
+    this.rssParser = rssParser;
+    this.salaryParser = new SalaryParser();
+    this.campaignArchive = null;
     
     this.initializeMailchimp();
   }
@@ -26,8 +32,25 @@ class EmailServiceV2 {
     console.log('Mailchimp client initialized for EmailServiceV2');
   }
 
-  async sendJobEmail(jobGuids, jobQueueManager) {
-    if (!Array.isArray(jobGuids) || jobGuids.length === 0) {
+  getRssParser() {
+    if (!this.rssParser) {
+      this.rssParser = new RSSParserV2();
+    }
+    return this.rssParser;
+  }
+
+  getCampaignArchive() {
+    if (!this.campaignArchive) {
+      this.campaignArchive = new CampaignArchive();
+    }
+    return this.campaignArchive;
+  }
+
+  // `batchJobs` are queue entries (or bare GUIDs) so details can be fetched
+  // from the feed each job came from. `batchPolicy` and `trigger` are kept in
+  // the campaign archive.
+  async sendJobEmail(batchJobs, jobQueueManager, { batchPolicy = null, trigger = null } = {}) {
+    if (!Array.isArray(batchJobs) || batchJobs.length === 0) {
       throw new Error('No job GUIDs provided for email');
     }
 
@@ -35,54 +58,160 @@ class EmailServiceV2 {
       throw new Error('JobQueueManager instance required for transaction safety');
     }
 
+    const jobGuids = batchJobs.map(job => (typeof job === 'string' ? job : job.guid));
     console.log(`Starting job email transaction for ${jobGuids.length} jobs`);
 
+    // Reserved jobs cannot be picked by another run. If this run dies, the
+    // reservation's lease expires and recovery asks Mailchimp what happened.
+    const reservation = await jobQueueManager.reserveJobs(jobGuids);
+    if (reservation.guids.length === 0) {
+      throw new Error('None of the selected jobs could be reserved; another run may be sending them');
+    }
+
+    const reservedGuids = new Set(reservation.guids);
+    let sentGuids = [];
+    let campaignId = null;
+    let sendAttempted = false;
+    let campaignSent = false;
+
     try {
-      const jobs = await this.rssParser.fetchJobDetails(jobGuids);
+      const jobs = await this.getRssParser().fetchJobDetails(
+        batchJobs.filter(job => reservedGuids.has(typeof job === 'string' ? job : job.guid))
+      );
       
       if (jobs.length === 0) {
         throw new Error('No job details found for provided GUIDs');
       }
 
-      if (jobs.length < jobGuids.length) {
-        console.warn(`Only found ${jobs.length} jobs out of ${jobGuids.length} requested GUIDs`);
+      if (jobs.length < reservation.guids.length) {
+        console.warn(`Only found ${jobs.length} jobs out of ${reservation.guids.length} reserved GUIDs`);
+      }
+
+      // Only jobs that make it into the email are sent; the rest go back to
+      // pending for the feed lifecycle check to settle.
+      sentGuids = jobs.map(job => job.guid);
+      const sentGuidSet = new Set(sentGuids);
+      const missingGuids = reservation.guids.filter(guid => !sentGuidSet.has(guid));
+      if (missingGuids.length > 0) {
+        await jobQueueManager.releaseReservation(reservation.id, missingGuids, {
+          reason: 'No job details found',
+          countAttempt: false
+        });
       }
 
       console.log(`Preparing to send campaign with ${jobs.length} jobs`);
       
       const htmlContent = await this.generateEmailContent(jobs);
-      const campaignResult = await this.sendCampaign(htmlContent);
+      const settings = this.getCampaignSettings();
+      campaignId = await this.createCampaign(htmlContent, settings);
+      await jobQueueManager.attachCampaign(reservation.id, sentGuids, campaignId);
+
+      // Archived before sending, so no email can go out without its record.
+      await this.getCampaignArchive().save({
+        campaignId,
+        status: 'created',
+        subject: settings.subject_line,
+        settings,
+        listId: this.listId,
+        reservationId: reservation.id,
+        runId: jobQueueManager.runId || null,
+        batchPolicy,
+        trigger,
+        jobGuids: sentGuids,
+        missingGuids,
+        jobCount: jobs.length,
+        jobs,
+        createdAt: new Date().toISOString()
+      }, htmlContent);
+
+      sendAttempted = true;
+      const campaignResult = await this.sendCampaign(campaignId);
+      campaignSent = true;
       
       console.log(`✅ Campaign sent successfully with ID: ${campaignResult.campaignId}`);
+      await this.archiveCampaignStatus(campaignId, 'sent', { sentAt: campaignResult.sentAt });
       
-      const markedSuccess = await jobQueueManager.markAsSent(jobGuids);
+      const markedSuccess = await jobQueueManager.markAsSent(sentGuids, {
+        reservationId: reservation.id,
+        campaignId
+      });
       
       if (!markedSuccess) {
         console.warn('Failed to mark jobs as sent in queue, but email was sent successfully');
       } else {
-        console.log(`✅ ${jobGuids.length} jobs marked as sent in queue`);
+        console.log(`✅ ${sentGuids.length} jobs marked as sent in queue`);
       }
       
       return {
         success: true,
         campaignId: campaignResult.campaignId,
+        reservationId: reservation.id,
         jobCount: jobs.length,
         guidsProcessed: jobGuids.length,
-        sentAt: new Date().toISOString(),
+        sentGuids: sentGuids,
+        missingGuids: jobGuids.filter(guid => !sentGuidSet.has(guid)),
+        sentAt: campaignResult.sentAt,
+        batchPolicy: batchPolicy?.id || null,
+        trigger,
         queueUpdated: markedSuccess
       };
       
     } catch (error) {
       console.error('❌ Job email transaction failed:', error);
-      console.log('Jobs remain in "pending" state for retry');
+      await this.settleFailedSend(jobQueueManager, reservation, {
+        guids: sentGuids.length > 0 ? sentGuids : reservation.guids,
+        campaignId,
+        sendAttempted,
+        campaignSent,
+        reason: error.message
+      });
       throw new Error(`Failed to send job email: ${error.message}`);
     }
   }
 
-  async sendCampaign(htmlContent) {
+  // Releases the reservation when the campaign certainly did not go out. When
+  // it did, or Mailchimp cannot say, the jobs stay reserved and recovery
+  // settles them once the lease expires.
+  async settleFailedSend(jobQueueManager, reservation, { guids, campaignId, sendAttempted, campaignSent, reason }) {
+    try {
+      const status = campaignSent
+        ? 'sent'
+        : sendAttempted ? await this.getCampaignStatus(campaignId) : 'unsent';
+
+      if (status === 'unsent') {
+        await jobQueueManager.releaseReservation(reservation.id, guids, { reason });
+        if (campaignId) await this.archiveCampaignStatus(campaignId, 'unsent', { failureReason: reason });
+        return;
+      }
+
+      console.log(`Jobs stay reserved (reservation ${reservation.id}) until recovery confirms campaign ${campaignId} after ${reservation.leaseExpiresAt}`);
+
+    } catch (error) {
+      console.error(`Could not settle reservation ${reservation.id}; recovery will after ${reservation.leaseExpiresAt}:`, error.message);
+    }
+  }
+
+  // The send already happened (or not), so an archive failure is only logged.
+  async archiveCampaignStatus(campaignId, status, details = {}) {
+    try {
+      await this.getCampaignArchive().updateStatus(campaignId, status, details);
+    } catch (error) {
+      console.error(`⚠️ Could not mark archived campaign ${campaignId} as ${status}:`, error.message);
+    }
+  }
+
+  // getCampaignStatus for reservation recovery, also settling the campaign's
+  // archive record.
+  async checkCampaign(campaignId) {
+    const status = await this.getCampaignStatus(campaignId);
+    if (status) {
+      await this.archiveCampaignStatus(campaignId, status, { settledBy: 'recovery' });
+    }
+    return status;
+  }
+
+  async sendCampaign(campaignId) {
     try {
-      const campaignId = await this.createCampaign(htmlContent);
-      
       await mailchimp.campaigns.send(campaignId);
       console.log(`Campaign ${campaignId} sent successfully`);
       
@@ -97,22 +226,40 @@ class EmailServiceV2 {
     }
   }
 
-  async createCampaign(htmlContent) {
+  // 'sent' when Mailchimp sent (or is sending) the campaign, 'unsent' when it
+  // never will on its own, null when Mailchimp could not be asked.
+  async getCampaignStatus(campaignId) {
+    try {
+      const campaign = await mailchimp.campaigns.get(campaignId);
+      return ['sent', 'sending', 'schedule'].includes(campaign.status) ? 'sent' : 'unsent';
+
+    } catch (error) {
+      if (error.status === 404 || error.response?.status === 404) return 'unsent';
+      console.error(`Error checking campaign ${campaignId}:`, error.response?.text || error.message);
+      return null;
+    }
+  }
+
+  getCampaignSettings() {
+    return {
+      subject_line: this.emailSubject,
+      preview_text: `${this.emailSubject} - Check out these exciting new opportunities!`,
+      title: `Job Campaign - ${new Date().toISOString().split('T')[0]}`,
+      from_name: 'Elevate Career Group',
+      reply_to: this.adminEmail || 'noreply@elevatecareer.com',
+      auto_footer: false,
+      inline_css: true,
+    };
+  }
+
+  async createCampaign(htmlContent, settings = this.getCampaignSettings()) {
     try {
       const campaign = await mailchimp.campaigns.create({
         type: 'regular',
         recipients: {
           list_id: this.listId,
         },
-        settings: {
-          subject_line: this.emailSubject,
-          preview_text: `${this.emailSubject} - Check out these exciting new opportunities!`,
-          title: `Job Campaign - ${new Date().toISOString().split('T')[0]}`,
-          from_name: 'Elevate Career Group',
-          reply_to: this.adminEmail || 'noreply@elevatecareer.com',
-          auto_footer: false,
-          inline_css: true,
-        },
+        settings,
       });
 
       await mailchimp.campaigns.setContent(campaign.id, {
@@ -134,7 +281,11 @@ class EmailServiceV2 {
         throw new Error('No jobs provided for email content generation');
       }
 
-      const jobsHtml = jobs.map(job => this.generateJobHtml(job)).join('\n');
+      // Pinned jobs lead the email.
+      const orderedJobs = [...jobs.filter(job => job.pinned), ...jobs.filter(job => !job.pinned)];
+      const jobsHtml = this.groupByCategory
+        ? this.generateGroupedJobsHtml(orderedJobs)
+        : orderedJobs.map(job => this.generateJobHtml(job)).join('\n');
       const totalJobs = jobs.length;
       const currentDate = new Date().toLocaleDateString('en-US', { 
         year: 'numeric', 
@@ -273,6 +424,29 @@ class EmailServiceV2 {
     }
   }
 
+  // Groups keep the order in which their first job appears; uncategorized jobs
+  // go last under "Other".
+  generateGroupedJobsHtml(jobs) {
+    const groups = new Map();
+    for (const job of jobs) {
+      const label = job.pinned
+        ? 'Featured'
+        : job.category && job.category.id !== 'other' ? job.category.label : 'Other';
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(job);
+    }
+
+    const labels = Array.from(groups.keys())
+      .sort((a, b) => (b === 'Featured') - (a === 'Featured') || (a === 'Other') - (b === 'Other'));
+    return labels.map(label => `
+      <tr>
+        <td style="padding: 8px 0 12px 0;">
+          <h3 style="font-family: 'Roboto', Arial, sans-serif; font-size: 18px; color: #5D4299; font-weight: 600; margin: 0;">${this.escapeHtml(label)}</h3>
+        </td>
+      </tr>
+${groups.get(label).map(job => this.generateJobHtml(job)).join('\n')}`).join('\n');
+  }
+
   generateJobHtml(job) {
     return `
       <tr>
@@ -284,7 +458,9 @@ class EmailServiceV2 {
                   <tr>
                     <td style="background-color: #5D4299; color: #FFFFFF; padding: 6px 12px; border-radius: 4px; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; font-weight: 600; margin-right: 8px;">${this.escapeHtml(job.hours || 'Full-time')}</td>
                     <td style="width: 8px;"></td>
-                    <td style="background-color: #5D4299; color: #FFFFFF; padding: 6px 12px; border-radius: 4px; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; font-weight: 600;">${this.escapeHtml(job.salary_range)}</td>
+                    <td style="background-color: #5D4299; color: #FFFFFF; padding: 6px 12px; border-radius: 4px; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; font-weight: 600;">${this.escapeHtml(this.formatSalary(job))}</td>${job.badge ? `
+                    <td style="width: 8px;"></td>
+                    <td style="background-color: #61CE70; color: #FFFFFF; padding: 6px 12px; border-radius: 4px; font-family: 'Roboto', Arial, sans-serif; font-size: 12px; font-weight: 600;">${this.escapeHtml(job.badge)}</td>` : ''}
                   </tr>
                 </table>
                 <table role="presentation" cellspacing="0" cellpadding="0" border="0" width="100%" style="margin: 12px 0;">
@@ -298,7 +474,7 @@ class EmailServiceV2 {
                   </tr>
                 </table>
                 <p style="font-family: 'Roboto', Arial, sans-serif; font-size: 16px; color: #333333; margin: 0 0 16px 0; line-height: 1.5;">${this.escapeHtml(job.job_description_first_sentence)}</p>
-                <a href="${this.escapeHtml(job.apply_url)}" style="font-family: 'Roboto', Arial, sans-serif; color: #5D4299; text-decoration: none; font-weight: 600; font-size: 14px; border-bottom: 1px solid #5D4299;">Apply</a>
+${this.generateHighlightsHtml(job)}                <a href="${this.escapeHtml(job.apply_url)}" style="font-family: 'Roboto', Arial, sans-serif; color: #5D4299; text-decoration: none; font-weight: 600; font-size: 14px; border-bottom: 1px solid #5D4299;">Apply</a>
               </td>
             </tr>
           </table>
@@ -307,6 +483,22 @@ class EmailServiceV2 {
     `;
   }
 
+  // Off unless EMAIL_HIGHLIGHT_COUNT is set; cards then list up to that many
+  // responsibilities/requirements under the summary.
+  generateHighlightsHtml(job) {
+    const highlights = (job.job_highlights || []).slice(0, this.highlightCount);
+    if (highlights.length === 0) return '';
+
+    return `                <ul style="font-family: 'Roboto', Arial, sans-serif; font-size: 14px; color: #7A7A7A; margin: 0 0 16px 0; padding-left: 20px; line-height: 1.5;">
+${highlights.map(highlight => `                  <li style="margin: 0 0 4px 0;">${this.escapeHtml(highlight)}</li>`).join('\n')}
+                </ul>
+`;
+  }
+
+  formatSalary(job) {
+    return job.salary !== undefined ? this.salaryParser.format(job.salary) : job.salary_range;
+  }
+
   async sendErrorNotification(error) {
     if (!this.adminEmail) {
       console.log('No admin email configured for error notifications');
@@ -350,6 +542,50 @@ class EmailServiceV2 {
     }
   }
 
+  async sendFeedHealthAlert(reports) {
+    if (!this.adminEmail) {
+      console.log('No admin email configured for feed health alerts');
+      return;
+    }
+
+    try {
+      const sections = reports.map(report => `
+            <h3>${this.escapeHtml(report.feedId)} (${this.escapeHtml(report.rules || '')})</h3>
+            <p><strong>Items:</strong> ${report.error ? 'not fetched' : report.itemCount} (baseline ${report.baseline ? report.baseline.itemCount : 'n/a'})</p>
+            <ul>
+              ${report.drift.map(entry => `<li>${this.escapeHtml(entry.message)}</li>`).join('\n              ')}
+            </ul>`).join('\n');
+
+      await mailchimp.messages.send({
+        message: {
+          html: `
+            <h2>Job Feed Health Alert</h2>
+            <p><strong>Time:</strong> ${new Date().toISOString()}</p>
+            <p>The feed could not be fetched or no longer matches its recent baseline. Jobs may be missing,
+            or going out with fallback values ("Location not specified", "Salary not disclosed") until the
+            extraction rules are updated.</p>
+            ${sections}
+          `,
+          subject: `Job Feed Health Alert: ${reports.map(report => report.feedId).join(', ')}`,
+          from_email: 'system@elevatecareer.com',
+          from_name: 'Job Scheduler System V2',
+          to: [
+            {
+              email: this.adminEmail,
+              name: 'Administrator',
+              type: 'to'
+            }
+          ]
+        }
+      });
+
+      console.log('Feed health alert sent to admin');
+
+    } catch (alertError) {
+      console.error('Failed to send feed health alert:', alertError);
+    }
+  }
+
   async testConnection() {
     try {
       const response = await mailchimp.ping.get();
@@ -0,0 +1,299 @@
+import fs from 'fs';
+import { loadJsonConfig, resolveConfigPath } from './config-loader.js';
+
+// Per-feed field extraction rules, loaded from config/extraction-rules/<file>.json.
+// Each field is resolved from its mapped feed element (`source`), then from
+// `patterns` in order, then from the named built-in `fallbacks`, then `default`.
+//
+// {
+//   "version": 1,
+//   "fields": {
+//     "hours": {
+//       "source": "crelate:hours",
+//       "in": "title+description",
+//       "patterns": [{ "pattern": "\\b(part-time|part time)\\b", "flags": "i", "value": "Part-time" }],
+//       "default": "Full-time"
+//     }
+//   }
+// }
+
+const RULES_DIR = 'extraction-rules';
+
+export const FIELD_FALLBACKS = {
+  location: ['gazetteer-scan'],
+  salary: ['currency-scan'],
+  hours: [],
+  jobNumber: [],
+  category: [],
+  summary: ['description-sections', 'first-sentence']
+};
+
+const TEXT_SCOPES = ['title', 'description', 'title+description', 'raw-description'];
+
+// The raw item fields each text scope and built-in fallback reads.
+const SCOPE_INPUTS = {
+  'title': ['title'],
+  'description': ['description'],
+  'title+description': ['title', 'description'],
+  'raw-description': ['description']
+};
+const FALLBACK_INPUTS = {
+  'gazetteer-scan': ['title', 'description'],
+  'currency-scan': ['title', 'description'],
+  'description-sections': ['description'],
+  'first-sentence': ['description']
+};
+const VALID_FLAGS = /^[gimsuy]*$/;
+
+function cleanText(text) {
+  if (!text) return '';
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class ExtractionRules {
+  constructor(definition, { name = 'inline' } = {}) {
+    this.name = name;
+    const errors = ExtractionRules.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid extraction rules ${name}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.version = definition.version;
+    this.fields = {};
+    for (const [field, rule] of Object.entries(definition.fields)) {
+      this.fields[field] = this.compileField(rule);
+    }
+  }
+
+  // Rules are looked up as the feed's `rulesFile`, then <feed id>.json, then default.json.
+  static forFeed(feed) {
+    const candidates = [feed.rulesFile, `${feed.id}.json`, 'default.json'].filter(Boolean);
+    const file = candidates.find(candidate => fs.existsSync(resolveConfigPath(`${RULES_DIR}/${candidate}`)));
+
+    if (!file) {
+      throw new Error(`No extraction rules found for feed ${feed.id} (looked for ${candidates.join(', ')} in config/${RULES_DIR})`);
+    }
+
+    return ExtractionRules.fromFile(file);
+  }
+
+  static fromFile(file) {
+    const definition = loadJsonConfig(`${RULES_DIR}/${file}`);
+    const rules = new ExtractionRules(definition, { name: file });
+    console.log(`Loaded extraction rules ${file} (version ${rules.version})`);
+    return rules;
+  }
+
+  static validate(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['rules must be a JSON object'];
+    }
+    if (definition.version === undefined || definition.version === null || definition.version === '') {
+      errors.push('"version" is required');
+    }
+    if (!definition.fields || typeof definition.fields !== 'object') {
+      errors.push('"fields" must be an object');
+      return errors;
+    }
+
+    for (const [field, rule] of Object.entries(definition.fields)) {
+      const prefix = `fields.${field}`;
+
+      if (!FIELD_FALLBACKS[field]) {
+        errors.push(`${prefix}: unknown field (expected one of ${Object.keys(FIELD_FALLBACKS).join(', ')})`);
+        continue;
+      }
+      if (rule.source !== undefined && typeof rule.source !== 'string') {
+        errors.push(`${prefix}.source must be a string`);
+      }
+      if (rule.in !== undefined && !TEXT_SCOPES.includes(rule.in)) {
+        errors.push(`${prefix}.in must be one of ${TEXT_SCOPES.join(', ')}`);
+      }
+      if (rule.patterns !== undefined && !Array.isArray(rule.patterns)) {
+        errors.push(`${prefix}.patterns must be an array`);
+      }
+
+      (Array.isArray(rule.patterns) ? rule.patterns : []).forEach((pattern, index) => {
+        const patternPrefix = `${prefix}.patterns[${index}]`;
+        if (!pattern || typeof pattern.pattern !== 'string') {
+          errors.push(`${patternPrefix}.pattern must be a string`);
+          return;
+        }
+        if (pattern.flags !== undefined && !VALID_FLAGS.test(pattern.flags)) {
+          errors.push(`${patternPrefix}.flags "${pattern.flags}" is not a valid set of regex flags`);
+          return;
+        }
+        if (pattern.in !== undefined && !TEXT_SCOPES.includes(pattern.in)) {
+          errors.push(`${patternPrefix}.in must be one of ${TEXT_SCOPES.join(', ')}`);
+        }
+        if (pattern.group !== undefined && (!Number.isInteger(pattern.group) || pattern.group < 0)) {
+          errors.push(`${patternPrefix}.group must be a non-negative integer`);
+        }
+        try {
+          new RegExp(pattern.pattern, (pattern.flags || '').replace('g', ''));
+        } catch (error) {
+          errors.push(`${patternPrefix}: ${error.message}`);
+        }
+      });
+
+      (rule.fallbacks || []).forEach(fallback => {
+        if (!FIELD_FALLBACKS[field].includes(fallback)) {
+          errors.push(`${prefix}.fallbacks: "${fallback}" is not available for ${field} (available: ${FIELD_FALLBACKS[field].join(', ') || 'none'})`);
+        }
+      });
+
+      if (rule.stripPrefixes !== undefined && !Array.isArray(rule.stripPrefixes)) {
+        errors.push(`${prefix}.stripPrefixes must be an array`);
+      }
+      (Array.isArray(rule.stripPrefixes) ? rule.stripPrefixes : []).forEach((stripPrefix, index) => {
+        if (typeof stripPrefix !== 'string') {
+          errors.push(`${prefix}.stripPrefixes[${index}] must be a string`);
+          return;
+        }
+        try {
+          new RegExp(`^(?:${stripPrefix})\\s*`, 'i');
+        } catch (error) {
+          errors.push(`${prefix}.stripPrefixes[${index}]: ${error.message}`);
+        }
+      });
+      if (rule.maxLength !== undefined && (!Number.isInteger(rule.maxLength) || rule.maxLength <= 0)) {
+        errors.push(`${prefix}.maxLength must be a positive integer`);
+      }
+    }
+
+    return errors;
+  }
+
+  compileField(rule) {
+    return {
+      source: rule.source || null,
+      in: rule.in || 'title+description',
+      patterns: (rule.patterns || []).map(pattern => ({
+        regex: new RegExp(pattern.pattern, (pattern.flags || '').replace('g', '')),
+        in: pattern.in || null,
+        group: pattern.group !== undefined ? pattern.group : 1,
+        value: pattern.value !== undefined ? pattern.value : null,
+        minLength: pattern.minLength || 0
+      })),
+      fallbacks: rule.fallbacks || [],
+      default: rule.default !== undefined ? rule.default : null,
+      stripPrefixes: (rule.stripPrefixes || []).map(prefix => new RegExp(`^(?:${prefix})\\s*`, 'i')),
+      minLength: rule.minLength || 0,
+      maxLength: rule.maxLength || null
+    };
+  }
+
+  // Feed element names for each field, merged into the feed's fieldMap so the
+  // adapter reads them.
+  getSourceMap() {
+    const sources = {};
+    for (const [field, rule] of Object.entries(this.fields)) {
+      if (rule.source) sources[field] = rule.source;
+    }
+    return sources;
+  }
+
+  hasFallback(field, fallback) {
+    return Boolean(this.fields[field] && this.fields[field].fallbacks.includes(fallback));
+  }
+
+  getMaxLength(field) {
+    return this.fields[field] ? this.fields[field].maxLength : null;
+  }
+
+  getMinLength(field) {
+    return this.fields[field] ? this.fields[field].minLength : 0;
+  }
+
+  // Removes the first matching prefix ("Our client is a growing firm" becomes
+  // "A growing firm") and restores the leading capital.
+  stripPrefixes(field, text) {
+    const rule = this.fields[field];
+    if (!rule || !text) return text;
+
+    for (const prefix of rule.stripPrefixes) {
+      if (prefix.test(text)) {
+        const stripped = text.replace(prefix, '').trim();
+        return stripped.charAt(0).toUpperCase() + stripped.slice(1);
+      }
+    }
+    return text;
+  }
+
+  // The raw inputs a field's value can come from for this item: its mapped
+  // feed element (named after the field), plus the text its patterns and
+  // fallbacks read. A feed value `accept` rejects (e.g. a salary reading
+  // "Competitive") leaves the value to the title and description.
+  getInputs(field, item, accept = value => value) {
+    const rule = this.fields[field];
+    if (!rule) return [];
+
+    const inputs = new Set(rule.source ? [field] : []);
+    rule.patterns.forEach(pattern => SCOPE_INPUTS[pattern.in || rule.in].forEach(input => inputs.add(input)));
+    rule.fallbacks.forEach(fallback => FALLBACK_INPUTS[fallback].forEach(input => inputs.add(input)));
+    if (item.fields?.[field] && this.extract(field, item, accept).via !== 'source') {
+      inputs.add('title');
+      inputs.add('description');
+    }
+    return Array.from(inputs);
+  }
+
+  getDefault(field) {
+    return this.fields[field] ? this.fields[field].default : null;
+  }
+
+  getText(item, scope) {
+    switch (scope) {
+      case 'title':
+        return cleanText(item.title);
+      case 'description':
+        return cleanText(item.description);
+      case 'raw-description':
+        return item.description || '';
+      default:
+        return `${cleanText(item.title)} ${cleanText(item.description)}`;
+    }
+  }
+
+  // Returns { value, raw, via } where `via` is 'source', 'pattern:<index>' or
+  // null. `accept` turns a candidate string into a value, or null to keep looking
+  // (e.g. a salary field reading "Competitive").
+  extract(field, item, accept = value => value) {
+    const rule = this.fields[field];
+    if (!rule) return { value: null, raw: null, via: null };
+
+    const sourceValue = item.fields ? item.fields[field] : null;
+    if (sourceValue) {
+      const accepted = accept(sourceValue);
+      if (accepted !== null && accepted !== undefined && accepted !== '') {
+        return { value: accepted, raw: sourceValue, via: 'source' };
+      }
+    }
+
+    for (const [index, pattern] of rule.patterns.entries()) {
+      const match = this.getText(item, pattern.in || rule.in).match(pattern.regex);
+      if (!match) continue;
+
+      let candidate = pattern.value !== null ? pattern.value : match[pattern.group];
+      if (typeof candidate !== 'string') continue;
+
+      candidate = this.stripPrefixes(field, cleanText(candidate)).trim();
+
+      if (candidate.length < Math.max(pattern.minLength, rule.minLength)) continue;
+
+      const accepted = accept(candidate);
+      if (accepted !== null && accepted !== undefined && accepted !== '') {
+        return { value: accepted, raw: candidate, via: `pattern:${index}` };
+      }
+    }
+
+    return { value: null, raw: null, via: null };
+  }
+}
+
+export default ExtractionRules;
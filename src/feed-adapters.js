@@ -0,0 +1,200 @@
+import Parser from 'rss-parser';
+import { createFeedSource } from './feed-sources.js';
+
+// Adapters turn a feed document into normalized items:
+// { guid, title, link, pubDate, description, categories, fields: { location, jobNumber, salary, hours, ... } }
+// where `fields` holds whatever the feed's fieldMap points at.
+//
+// parseDocument() returns { items, dropped }. A document that fails to parse
+// as a whole is recovered item by item; `dropped` lists the items that could
+// not be read as { index, title, reason }.
+
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return toText(value[0]);
+  if (typeof value === 'object') {
+    if (value._ !== undefined) return toText(value._);
+    if (value.$ && value.$.href) return value.$.href;
+    return null;
+  }
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+class BaseFeedAdapter {
+  constructor(feed) {
+    this.feed = feed;
+  }
+
+  // The source (live URL, recording, or an offline file/fixture) is chosen by
+  // FEED_SOURCE_MODE; see feed-sources.js.
+  getSource() {
+    if (!this.source) {
+      this.source = createFeedSource(this.feed, this.acceptHeader);
+    }
+    return this.source;
+  }
+
+  // Returns { notModified: true } on 304, otherwise
+  // { notModified: false, document, etag, lastModified }.
+  async fetchDocument(validators = {}) {
+    return this.getSource().fetch(validators);
+  }
+
+  isOffline() {
+    return this.getSource().offline;
+  }
+
+  normalizeItems(rawItems) {
+    const items = [];
+    const dropped = [];
+
+    rawItems.forEach((item, index) => {
+      try {
+        items.push(this.normalizeItem(item));
+      } catch (error) {
+        dropped.push({ index, title: toText(item && item.title), reason: error.message });
+      }
+    });
+
+    return { items, dropped };
+  }
+
+  mapFields(item, lookup) {
+    const fields = {};
+    for (const [field, sourcePath] of Object.entries(this.feed.fieldMap)) {
+      fields[field] = toText(lookup(item, sourcePath));
+    }
+    return fields;
+  }
+}
+
+class RssFeedAdapter extends BaseFeedAdapter {
+  constructor(feed) {
+    super(feed);
+    this.acceptHeader = 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8';
+    this.parser = new Parser({
+      customFields: {
+        item: ['description', 'guid', 'id', 'summary', ...Object.values(feed.fieldMap)]
+      }
+    });
+  }
+
+  async parseDocument(xml) {
+    try {
+      const parsed = await this.parser.parseString(xml);
+      return this.normalizeItems(parsed.items || []);
+    } catch (error) {
+      console.warn(`Feed ${this.feed.id} document failed to parse (${error.message.split('\n')[0]}), recovering items individually`);
+      return this.recoverItems(xml, error);
+    }
+  }
+
+  // Re-parses each <item> (or Atom <entry>) on its own inside the document's
+  // header, so one malformed or truncated item only loses that item.
+  async recoverItems(xml, originalError) {
+    const tag = /<item[\s>]/.test(xml) ? 'item' : 'entry';
+    const start = xml.search(new RegExp(`<${tag}[\\s>]`));
+    if (start < 0) {
+      throw new Error(`Failed to parse feed document: ${originalError.message}`);
+    }
+
+    const head = xml.slice(0, start);
+    const tail = tag === 'entry' ? '</feed>' : '</channel></rss>';
+    const closingTag = `</${tag}>`;
+    const chunks = xml.slice(start).split(new RegExp(`(?=<${tag}[\\s>])`));
+    const items = [];
+    const dropped = [];
+
+    for (const [index, chunk] of chunks.entries()) {
+      const end = chunk.indexOf(closingTag);
+      const title = this.peekTitle(chunk);
+
+      if (end < 0) {
+        dropped.push({ index, title, reason: `Unterminated <${tag}>` });
+        continue;
+      }
+
+      try {
+        const parsed = await this.parser.parseString(head + chunk.slice(0, end + closingTag.length) + tail);
+        const [item] = parsed.items || [];
+        if (!item) throw new Error('Item was empty after parsing');
+        items.push(item);
+      } catch (error) {
+        dropped.push({ index, title, reason: error.message.split('\n')[0] });
+      }
+    }
+
+    if (items.length === 0) {
+      throw new Error(`Failed to parse feed document: ${originalError.message} (no items could be recovered)`);
+    }
+
+    console.warn(`Recovered ${items.length} of ${chunks.length} items from feed ${this.feed.id}, dropped ${dropped.length}`);
+    const normalized = this.normalizeItems(items);
+    return { items: normalized.items, dropped: [...dropped, ...normalized.dropped] };
+  }
+
+  peekTitle(chunk) {
+    const match = chunk.match(/<title[^>]*>(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?<\/title>/);
+    return match ? match[1].trim().slice(0, 100) : null;
+  }
+
+  normalizeItem(item) {
+    return {
+      guid: item.guid || item.id || null,
+      title: toText(item.title),
+      link: toText(item.link),
+      pubDate: item.pubDate || item.isoDate || null,
+      description: item.description || item.content || item.summary || '',
+      categories: (item.categories || []).map(toText).filter(Boolean),
+      fields: this.mapFields(item, (source, key) => source[key])
+    };
+  }
+}
+
+class JsonFeedAdapter extends BaseFeedAdapter {
+  constructor(feed) {
+    super(feed);
+    this.acceptHeader = 'application/feed+json, application/json;q=0.9, */*;q=0.8';
+  }
+
+  async parseDocument(document) {
+    const parsed = typeof document === 'string' ? JSON.parse(document) : document;
+    if (!parsed || !Array.isArray(parsed.items)) {
+      throw new Error('JSON Feed document has no items array');
+    }
+    return this.normalizeItems(parsed.items);
+  }
+
+  normalizeItem(item) {
+    return {
+      guid: item.id != null ? String(item.id) : null,
+      title: toText(item.title),
+      link: toText(item.url || item.external_url),
+      pubDate: item.date_published || item.date_modified || null,
+      description: item.content_html || item.content_text || item.summary || '',
+      categories: (item.tags || []).map(toText).filter(Boolean),
+      fields: this.mapFields(item, getPath)
+    };
+  }
+}
+
+const ADAPTERS = {
+  rss: RssFeedAdapter,
+  atom: RssFeedAdapter,
+  'json-feed': JsonFeedAdapter
+};
+
+export function createFeedAdapter(feed) {
+  const Adapter = ADAPTERS[feed.format];
+  if (!Adapter) {
+    throw new Error(`No adapter for feed format "${feed.format}"`);
+  }
+  return new Adapter(feed);
+}
+
+export { RssFeedAdapter, JsonFeedAdapter };
@@ -0,0 +1,180 @@
+import { createStorage } from './storage-adapters.js';
+
+// Compares each live feed health report with a rolling baseline of the
+// previous runs and flags drift: a mapped field's source share falling, the
+// feed emptying out, or more items being skipped or given fallback GUIDs. A
+// feed that could not be fetched is flagged too.
+class FeedHealthMonitor {
+  constructor() {
+    this.storeName = 'feed-health';
+    this.storage = null;
+    this.baselineRuns = parseInt(process.env.FEED_HEALTH_BASELINE_RUNS) || 7;
+    this.minBaselineRuns = parseInt(process.env.FEED_HEALTH_MIN_BASELINE_RUNS) || 3;
+    this.driftThreshold = parseFloat(process.env.FEED_HEALTH_DRIFT_THRESHOLD) || 0.3;
+    this.alertIntervalHours = parseInt(process.env.FEED_HEALTH_ALERT_INTERVAL_HOURS) || 24;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(this.storeName);
+    }
+    return this.storage;
+  }
+
+  getHistoryKey(feedId) {
+    return `history/${feedId}`;
+  }
+
+  async getHistory(feedId) {
+    const key = this.getHistoryKey(feedId);
+    const empty = { feedId, reports: [], lastAlert: null };
+
+    try {
+      return (await this.getStorage().get(key)) || empty;
+
+    } catch (error) {
+      console.error(`Error reading feed health history for ${feedId}:`, error.message);
+      return empty;
+    }
+  }
+
+  async saveHistory(feedId, history) {
+    const key = this.getHistoryKey(feedId);
+    try {
+      await this.getStorage().set(key, history);
+    } catch (error) {
+      console.error(`Error saving feed health history for ${feedId}:`, error.message);
+    }
+  }
+
+  // Only live fetches without drift feed the baseline: a 304 or a stale
+  // snapshot says nothing new about the feed's shape, and a drifted run would
+  // soon become the baseline and silence its own alert. The baseline stays as
+  // it was until the drift clears.
+  async record(reports) {
+    const results = [];
+    const alerts = [];
+
+    for (const report of reports) {
+      if (!report.error && report.source !== 'live') {
+        results.push({ ...report, drift: [] });
+        continue;
+      }
+
+      try {
+        const history = await this.getHistory(report.feedId);
+        const baseline = this.buildBaseline(history.reports);
+        const drift = report.error
+          ? [{ type: 'fetch-failed', message: `feed could not be fetched: ${report.error}` }]
+          : baseline ? this.detectDrift(report, baseline) : [];
+        const result = { ...report, baseline, drift };
+
+        if (drift.length > 0) {
+          console.warn(`⚠️ Feed ${report.feedId} drifted from its baseline: ${drift.map(entry => entry.message).join('; ')}`);
+          if (this.shouldAlert(history.lastAlert, drift)) {
+            alerts.push(result);
+            history.lastAlert = { at: report.checkedAt, signature: this.getSignature(drift) };
+          }
+        } else {
+          history.reports = [...history.reports, this.compactReport(report)].slice(-this.baselineRuns);
+        }
+
+        await this.saveHistory(report.feedId, history);
+        results.push(result);
+
+      } catch (error) {
+        console.error(`Error recording feed health for ${report.feedId}:`, error.message);
+        results.push({ ...report, drift: [] });
+      }
+    }
+
+    return { reports: results, alerts };
+  }
+
+  compactReport(report) {
+    return {
+      checkedAt: report.checkedAt,
+      itemCount: report.itemCount,
+      skipped: report.skipped,
+      fallbackGuids: report.fallbackGuids,
+      shares: Object.fromEntries(Object.entries(report.fields).map(([field, stats]) => [field, stats.share]))
+    };
+  }
+
+  buildBaseline(reports) {
+    if (reports.length < this.minBaselineRuns) return null;
+
+    const average = values => Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 1000) / 1000;
+    const rate = (report, key) => report.itemCount > 0 ? report[key] / report.itemCount : 0;
+    const fields = new Set(reports.flatMap(report => Object.keys(report.shares)));
+
+    return {
+      runs: reports.length,
+      itemCount: average(reports.map(report => report.itemCount)),
+      skippedRate: average(reports.map(report => rate(report, 'skipped'))),
+      fallbackGuidRate: average(reports.map(report => rate(report, 'fallbackGuids'))),
+      shares: Object.fromEntries(Array.from(fields).map(field => [
+        field,
+        average(reports.filter(report => field in report.shares).map(report => report.shares[field]))
+      ]))
+    };
+  }
+
+  detectDrift(report, baseline) {
+    const drift = [];
+    const rate = key => report.itemCount > 0 ? report[key] / report.itemCount : 0;
+
+    if (report.itemCount === 0 && baseline.itemCount > 0) {
+      drift.push({
+        type: 'empty-feed',
+        message: `feed returned no items (baseline ${baseline.itemCount})`
+      });
+      return drift;
+    }
+
+    for (const [field, stats] of Object.entries(report.fields)) {
+      const expected = baseline.shares[field];
+      if (expected === undefined || expected - stats.share < this.driftThreshold) continue;
+
+      drift.push({
+        type: 'field-share',
+        field,
+        source: stats.source,
+        baseline: expected,
+        current: stats.share,
+        message: `${stats.source} supplied ${field} for ${Math.round(stats.share * 100)}% of items (baseline ${Math.round(expected * 100)}%)`
+      });
+    }
+
+    for (const [key, label] of [['skipped', 'skipped for a missing title or link'], ['fallbackGuids', 'given fallback GUIDs']]) {
+      const current = rate(key);
+      const expected = baseline[key === 'skipped' ? 'skippedRate' : 'fallbackGuidRate'];
+      if (current - expected < this.driftThreshold) continue;
+
+      drift.push({
+        type: key,
+        baseline: expected,
+        current: Math.round(current * 1000) / 1000,
+        message: `${report[key]} of ${report.itemCount} items ${label} (baseline ${Math.round(expected * 100)}%)`
+      });
+    }
+
+    return drift;
+  }
+
+  getSignature(drift) {
+    return drift.map(entry => `${entry.type}:${entry.field || ''}`).sort().join(',');
+  }
+
+  // The same drift is re-alerted at most once per interval; a different set
+  // of drifted fields alerts immediately.
+  shouldAlert(lastAlert, drift) {
+    if (!lastAlert) return true;
+    if (lastAlert.signature !== this.getSignature(drift)) return true;
+
+    const hoursSince = (Date.now() - new Date(lastAlert.at).getTime()) / (1000 * 60 * 60);
+    return hoursSince >= this.alertIntervalHours;
+  }
+}
+
+export default FeedHealthMonitor;
@@ -0,0 +1,106 @@
+import { loadJsonConfig, loadJsonFromEnv } from './config-loader.js';
+import { isOfflineMode } from './feed-sources.js';
+
+const SUPPORTED_FORMATS = ['rss', 'atom', 'json-feed'];
+
+const DEFAULT_CRELATE_FIELD_MAP = {
+  location: 'crelate:location',
+  jobNumber: 'crelate:jobNumber',
+  salary: 'crelate:salary',
+  hours: 'crelate:hours'
+};
+
+class FeedRegistry {
+  constructor(definitions = null) {
+    this.feeds = new Map();
+
+    const feedDefinitions = definitions || FeedRegistry.loadDefinitions();
+    feedDefinitions
+      .map(definition => this.normalizeDefinition(definition))
+      .filter(feed => feed !== null)
+      .forEach(feed => this.register(feed));
+
+    if (this.feeds.size === 0) {
+      throw new Error('No job feeds configured: set CRELATE_RSS_URL or define feeds in JOB_FEEDS / config/feeds.json');
+    }
+  }
+
+  static loadDefinitions() {
+    const fromEnv = loadJsonFromEnv('JOB_FEEDS');
+    if (fromEnv) {
+      return Array.isArray(fromEnv) ? fromEnv : fromEnv.feeds || [];
+    }
+
+    const fromFile = loadJsonConfig(process.env.JOB_FEEDS_FILE || 'feeds.json', { optional: true });
+    if (fromFile) {
+      return Array.isArray(fromFile) ? fromFile : fromFile.feeds || [];
+    }
+
+    return [{
+      id: 'crelate',
+      name: 'Crelate',
+      format: 'rss',
+      urlEnv: 'CRELATE_RSS_URL',
+      fieldMap: DEFAULT_CRELATE_FIELD_MAP
+    }];
+  }
+
+  normalizeDefinition(definition) {
+    if (!definition || !definition.id) {
+      throw new Error('Feed definition is missing an id');
+    }
+
+    if (definition.enabled === false) {
+      console.log(`Feed ${definition.id} is disabled, skipping`);
+      return null;
+    }
+
+    const format = definition.format || 'rss';
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`Feed ${definition.id} has unsupported format "${format}" (expected one of ${SUPPORTED_FORMATS.join(', ')})`);
+    }
+
+    // Offline source modes read documents from disk, so the URL is optional.
+    const url = definition.url
+      || (definition.urlEnv ? process.env[definition.urlEnv] : null)
+      || (isOfflineMode() ? `offline:${definition.id}` : null);
+    if (!url) {
+      console.warn(`Feed ${definition.id} has no URL${definition.urlEnv ? ` (${definition.urlEnv} is not set)` : ''}, skipping`);
+      return null;
+    }
+
+    return {
+      id: definition.id,
+      name: definition.name || definition.id,
+      format,
+      url,
+      fieldMap: { ...(definition.fieldMap || {}) },
+      rulesFile: definition.rulesFile || null,
+      timeoutMs: definition.timeoutMs || null,
+      retries: definition.retries ?? null
+    };
+  }
+
+  register(feed) {
+    if (this.feeds.has(feed.id)) {
+      throw new Error(`Duplicate feed id: ${feed.id}`);
+    }
+    this.feeds.set(feed.id, feed);
+  }
+
+  getFeeds() {
+    return Array.from(this.feeds.values());
+  }
+
+  getFeed(id) {
+    return this.feeds.get(id) || null;
+  }
+
+  // Queue entries written before the registry existed carry no sourceId; they
+  // all came from the first (Crelate) feed.
+  getDefaultFeed() {
+    return this.getFeeds()[0];
+  }
+}
+
+export default FeedRegistry;
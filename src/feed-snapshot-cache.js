@@ -0,0 +1,57 @@
+import { createStorage } from './storage-adapters.js';
+
+// Keeps the last parsed copy of each feed, along with the validators needed for
+// conditional requests, so a 304 or a feed outage can still be served.
+class FeedSnapshotCache {
+  constructor() {
+    this.storeName = 'feed-cache';
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(this.storeName);
+    }
+    return this.storage;
+  }
+
+  getSnapshotKey(feedId) {
+    return `snapshot/${feedId}`;
+  }
+
+  async getSnapshot(feedId) {
+    const key = this.getSnapshotKey(feedId);
+
+    try {
+      return await this.getStorage().get(key);
+
+    } catch (error) {
+      console.error(`Error reading feed snapshot for ${feedId}:`, error.message);
+      return null;
+    }
+  }
+
+  async saveSnapshot(feedId, { items, etag = null, lastModified = null }) {
+    const key = this.getSnapshotKey(feedId);
+    const snapshot = {
+      feedId,
+      etag,
+      lastModified,
+      fetchedAt: new Date().toISOString(),
+      itemCount: items.length,
+      items
+    };
+
+    try {
+      await this.getStorage().set(key, snapshot);
+      console.log(`💾 Saved feed snapshot for ${feedId} (${items.length} items)`);
+    } catch (error) {
+      // A missing snapshot only costs us the next conditional request.
+      console.error(`Error saving feed snapshot for ${feedId}:`, error.message);
+    }
+
+    return snapshot;
+  }
+}
+
+export default FeedSnapshotCache;
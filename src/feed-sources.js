@@ -0,0 +1,360 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import { createStorage } from './storage-adapters.js';
+
+// Where feed documents come from, selected with FEED_SOURCE_MODE:
+//
+//   live       Fetch the feed URL (default)
+//   record     Fetch the feed URL and save every fetched document as a fixture
+//   file       Read a raw feed document from FEED_SOURCE_PATH
+//   snapshots  Read the latest dated document in FEED_SOURCE_PATH/<feed id>/
+//   fixture    Replay a recorded fixture, from FEED_SOURCE_PATH or the fixture store
+//
+// FEED_SOURCE_PATH may contain {feedId}. In `snapshots` and `fixture` modes
+// FEED_SOURCE_AT picks the newest document recorded at or before that time,
+// e.g. the send time of a past campaign.
+//
+// Fixtures are { feedId, url, format, recordedAt, etag, lastModified, document }.
+
+export const SOURCE_MODES = ['live', 'record', 'file', 'snapshots', 'fixture'];
+export const OFFLINE_MODES = ['file', 'snapshots', 'fixture'];
+
+const FIXTURE_STORE = 'feed-fixtures';
+
+export function getSourceMode() {
+  const mode = process.env.FEED_SOURCE_MODE || 'live';
+  if (!SOURCE_MODES.includes(mode)) {
+    throw new Error(`Unsupported FEED_SOURCE_MODE "${mode}" (expected one of ${SOURCE_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+export function isOfflineMode() {
+  return OFFLINE_MODES.includes(getSourceMode());
+}
+
+function resolveSourcePath(feed) {
+  const template = process.env.FEED_SOURCE_PATH;
+  if (!template) {
+    throw new Error(`FEED_SOURCE_PATH is required in ${getSourceMode()} mode`);
+  }
+  return path.resolve(template.replace(/\{feedId\}/g, feed.id));
+}
+
+function getSourceAt() {
+  if (!process.env.FEED_SOURCE_AT) return null;
+
+  const at = new Date(process.env.FEED_SOURCE_AT);
+  if (isNaN(at.getTime())) {
+    throw new Error(`Invalid FEED_SOURCE_AT "${process.env.FEED_SOURCE_AT}"`);
+  }
+  return at;
+}
+
+// "2026-10-05T09-00-00Z.xml" and "2026-10-05.json" style names; colons are
+// not allowed in file names everywhere.
+function timestampFromName(name) {
+  const match = name.match(/(\d{4}-\d{2}-\d{2})(?:T(\d{2})[-:](\d{2})(?:[-:](\d{2})(?:\.(\d+))?)?)?/);
+  if (!match) return null;
+
+  const [, date, hours = '00', minutes = '00', seconds = '00', millis = '0'] = match;
+  const timestamp = new Date(`${date}T${hours}:${minutes}:${seconds}.${millis.padEnd(3, '0').slice(0, 3)}Z`);
+  return isNaN(timestamp.getTime()) ? null : timestamp;
+}
+
+function fileSafeTimestamp(isoDate) {
+  return isoDate.replace(/:/g, '-');
+}
+
+function isFixture(parsed) {
+  return parsed && typeof parsed === 'object' && typeof parsed.document === 'string' && parsed.recordedAt;
+}
+
+// Reads a raw document or a recorded fixture from disk.
+function readDocumentFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Feed source file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  if (filePath.endsWith('.json')) {
+    try {
+      const parsed = JSON.parse(content);
+      if (isFixture(parsed)) return parsed;
+    } catch (error) {
+      throw new Error(`Invalid JSON in feed source file ${filePath}: ${error.message}`);
+    }
+  }
+
+  return { document: content, etag: null, lastModified: null, recordedAt: null };
+}
+
+function pickLatest(entries, at) {
+  return entries
+    .filter(entry => entry.timestamp && (!at || entry.timestamp <= at))
+    .sort((a, b) => b.timestamp - a.timestamp)[0] || null;
+}
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ERR_NETWORK'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LiveFeedSource {
+  constructor(feed, acceptHeader) {
+    this.feed = feed;
+    this.acceptHeader = acceptHeader;
+    this.offline = false;
+    this.timeoutMs = feed.timeoutMs || parseInt(process.env.FEED_TIMEOUT_MS) || 10000;
+    this.retries = feed.retries ?? (process.env.FEED_RETRIES !== undefined ? parseInt(process.env.FEED_RETRIES) : 2);
+    this.retryBaseMs = parseInt(process.env.FEED_RETRY_BASE_MS) || 500;
+    this.retryMaxMs = parseInt(process.env.FEED_RETRY_MAX_MS) || 8000;
+  }
+
+  // Sends If-None-Match / If-Modified-Since when validators from a previous
+  // fetch are known. Returns { notModified: true } on 304. Timeouts, network
+  // errors, 429 and 5xx responses are retried with exponential backoff.
+  async fetch({ etag = null, lastModified = null } = {}) {
+    const headers = { Accept: this.acceptHeader };
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(this.feed.url, {
+          responseType: 'text',
+          transformResponse: data => data,
+          headers,
+          timeout: this.timeoutMs,
+          validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+
+        if (response.status === 304) {
+          return { notModified: true };
+        }
+
+        return {
+          notModified: false,
+          document: response.data,
+          etag: response.headers.etag || null,
+          lastModified: response.headers['last-modified'] || null,
+          attempts: attempt + 1
+        };
+
+      } catch (error) {
+        if (attempt >= this.retries || !this.isRetryable(error)) {
+          throw new Error(`${this.describeError(error)}${attempt > 0 ? ` after ${attempt + 1} attempts` : ''}`);
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        console.warn(`Feed ${this.feed.id} request failed (${this.describeError(error)}), retrying in ${delay}ms (${attempt + 1}/${this.retries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  isRetryable(error) {
+    if (error.response) {
+      return error.response.status === 429 || error.response.status >= 500;
+    }
+    return RETRYABLE_CODES.includes(error.code) || !error.code;
+  }
+
+  // Between half and all of base * 2^attempt (capped), so concurrent runs do
+  // not retry in lockstep. A Retry-After header sets a floor.
+  getRetryDelay(attempt, error) {
+    const ceiling = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** attempt);
+    const jittered = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(this.retryMaxMs, Math.max(jittered, retryAfter * 1000));
+    }
+    return jittered;
+  }
+
+  describeError(error) {
+    if (error.response) return `HTTP ${error.response.status}`;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return `timed out after ${this.timeoutMs}ms`;
+    return error.message;
+  }
+}
+
+class RecordingFeedSource extends LiveFeedSource {
+  constructor(feed, acceptHeader, fixtureStore) {
+    super(feed, acceptHeader);
+    this.fixtureStore = fixtureStore;
+  }
+
+  async fetch(validators = {}) {
+    const response = await super.fetch(validators);
+
+    if (!response.notModified) {
+      // A failed recording must not fail the run it is recording.
+      try {
+        const fixture = await this.fixtureStore.save(this.feed, response);
+        response.fixture = fixture.key;
+      } catch (error) {
+        console.error(`Failed to record fixture for feed ${this.feed.id}:`, error.message);
+      }
+    }
+
+    return response;
+  }
+}
+
+class FileFeedSource {
+  constructor(feed) {
+    this.feed = feed;
+    this.offline = true;
+  }
+
+  async fetch() {
+    const filePath = resolveSourcePath(this.feed);
+    const { document, etag, lastModified } = readDocumentFile(filePath);
+    console.log(`📁 Reading feed ${this.feed.id} from ${filePath}`);
+    return { notModified: false, document, etag, lastModified, fixture: filePath };
+  }
+}
+
+class SnapshotDirectoryFeedSource {
+  constructor(feed) {
+    this.feed = feed;
+    this.offline = true;
+  }
+
+  async fetch() {
+    const base = resolveSourcePath(this.feed);
+    const directory = process.env.FEED_SOURCE_PATH.includes('{feedId}') ? base : path.join(base, this.feed.id);
+    if (!fs.existsSync(directory)) {
+      throw new Error(`Feed snapshot directory not found: ${directory}`);
+    }
+
+    const at = getSourceAt();
+    const entries = fs.readdirSync(directory)
+      .filter(name => /\.(?:xml|json|rss|atom)$/.test(name))
+      .map(name => ({ name, timestamp: timestampFromName(name) }));
+
+    const latest = pickLatest(entries, at);
+    if (!latest) {
+      throw new Error(`No dated feed snapshot in ${directory}${at ? ` at or before ${at.toISOString()}` : ''}`);
+    }
+
+    const filePath = path.join(directory, latest.name);
+    const { document, etag, lastModified } = readDocumentFile(filePath);
+    console.log(`📁 Reading feed ${this.feed.id} snapshot ${latest.name}`);
+    return { notModified: false, document, etag, lastModified, fixture: filePath };
+  }
+}
+
+class FixtureFeedSource {
+  constructor(feed, fixtureStore) {
+    this.feed = feed;
+    this.fixtureStore = fixtureStore;
+    this.offline = true;
+  }
+
+  async fetch() {
+    if (process.env.FEED_SOURCE_PATH) {
+      const filePath = resolveSourcePath(this.feed);
+      const fixture = readDocumentFile(filePath);
+      console.log(`📼 Replaying feed ${this.feed.id} fixture ${filePath} (recorded ${fixture.recordedAt || 'unknown'})`);
+      return { notModified: false, document: fixture.document, etag: fixture.etag, lastModified: fixture.lastModified, fixture: filePath };
+    }
+
+    const fixture = await this.fixtureStore.find(this.feed.id, getSourceAt());
+    if (!fixture) {
+      throw new Error(`No recorded fixture for feed ${this.feed.id}${process.env.FEED_SOURCE_AT ? ` at or before ${process.env.FEED_SOURCE_AT}` : ''}`);
+    }
+
+    console.log(`📼 Replaying feed ${this.feed.id} fixture recorded ${fixture.recordedAt}`);
+    return { notModified: false, document: fixture.document, etag: fixture.etag, lastModified: fixture.lastModified, fixture: fixture.key };
+  }
+}
+
+// Recorded fixtures live in the `feed-fixtures` store, or under
+// FEED_FIXTURE_DIR/<feed id>/ when that is set (local runs).
+export class FeedFixtureStore {
+  constructor() {
+    this.directory = process.env.FEED_FIXTURE_DIR ? path.resolve(process.env.FEED_FIXTURE_DIR) : null;
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(FIXTURE_STORE);
+    }
+    return this.storage;
+  }
+
+  async save(feed, response) {
+    const recordedAt = new Date().toISOString();
+    const fixture = {
+      feedId: feed.id,
+      url: feed.url,
+      format: feed.format,
+      recordedAt,
+      etag: response.etag || null,
+      lastModified: response.lastModified || null,
+      document: response.document
+    };
+    const name = `${fileSafeTimestamp(recordedAt)}.json`;
+
+    if (this.directory) {
+      const directory = path.join(this.directory, feed.id);
+      fs.mkdirSync(directory, { recursive: true });
+      const filePath = path.join(directory, name);
+      fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+      console.log(`📼 Recorded feed ${feed.id} fixture to ${filePath}`);
+      return { ...fixture, key: filePath };
+    }
+
+    const key = `${feed.id}/${name}`;
+    await this.getStorage().set(key, fixture);
+    console.log(`📼 Recorded feed ${feed.id} fixture ${key}`);
+    return { ...fixture, key };
+  }
+
+  async list(feedId) {
+    if (this.directory) {
+      const directory = path.join(this.directory, feedId);
+      if (!fs.existsSync(directory)) return [];
+      return fs.readdirSync(directory)
+        .filter(name => name.endsWith('.json'))
+        .map(name => ({ key: path.join(directory, name), timestamp: timestampFromName(name) }));
+    }
+
+    const keys = await this.getStorage().list(`${feedId}/`);
+
+    return keys.map(key => ({ key, timestamp: timestampFromName(key.slice(feedId.length + 1)) }));
+  }
+
+  async find(feedId, at = null) {
+    const latest = pickLatest(await this.list(feedId), at);
+    if (!latest) return null;
+
+    if (this.directory) {
+      return { ...readDocumentFile(latest.key), key: latest.key };
+    }
+
+    const fixture = await this.getStorage().get(latest.key);
+    return fixture ? { ...fixture, key: latest.key } : null;
+  }
+}
+
+export function createFeedSource(feed, acceptHeader, { fixtureStore = null } = {}) {
+  switch (getSourceMode()) {
+    case 'record':
+      return new RecordingFeedSource(feed, acceptHeader, fixtureStore || new FeedFixtureStore());
+    case 'file':
+      return new FileFeedSource(feed);
+    case 'snapshots':
+      return new SnapshotDirectoryFeedSource(feed);
+    case 'fixture':
+      return new FixtureFeedSource(feed, fixtureStore || new FeedFixtureStore());
+    default:
+      return new LiveFeedSource(feed, acceptHeader);
+  }
+}
@@ -0,0 +1,139 @@
+import { loadJsonConfig } from './config-loader.js';
+
+// Offline keyword classifier for job category and industry, driven by
+// config/job-taxonomy.json. A category supplied by the feed wins when it maps
+// onto the taxonomy (by id, label or alias); otherwise keywords found in the
+// title and description are scored per taxonomy entry.
+//
+// Each result is { id, label, confidence, source, matched } where `source` is
+// 'feed', 'keywords' or 'none' and `confidence` is between 0 and 1.
+
+const DIMENSIONS = ['categories', 'industries'];
+
+function normalizeText(text) {
+  return (text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class JobClassifier {
+  constructor(taxonomy = null) {
+    this.taxonomy = taxonomy || loadJsonConfig(process.env.JOB_TAXONOMY_FILE || 'job-taxonomy.json');
+    this.version = this.taxonomy.version;
+    this.settings = {
+      titleWeight: 3,
+      descriptionWeight: 1,
+      feedCategoryConfidence: 0.95,
+      ...(this.taxonomy.settings || {})
+    };
+
+    this.entries = {};
+    for (const dimension of DIMENSIONS) {
+      this.entries[dimension] = (this.taxonomy[dimension] || []).map(entry => this.compileEntry(entry));
+    }
+  }
+
+  compileEntry(entry) {
+    const compile = keywords => (keywords || []).map(keyword => ({
+      keyword,
+      regex: new RegExp(`(?:^|[^a-z0-9])${escapeRegex(keyword.toLowerCase())}(?=$|[^a-z0-9])`)
+    }));
+
+    return {
+      id: entry.id,
+      label: entry.label || entry.id,
+      title: compile(entry.keywords?.title),
+      description: compile(entry.keywords?.description),
+      names: new Set([entry.id, entry.label, ...(entry.aliases || [])].filter(Boolean).map(normalizeText))
+    };
+  }
+
+  // `feedCategories` are raw category labels from the feed (a crelate: field,
+  // RSS <category> elements or JSON Feed tags).
+  classify({ title = '', description = '', feedCategories = [] } = {}) {
+    return {
+      category: this.classifyDimension('categories', title, description, feedCategories),
+      industry: this.classifyDimension('industries', title, description, feedCategories),
+      taxonomyVersion: this.version
+    };
+  }
+
+  classifyDimension(dimension, title, description, feedCategories) {
+    const entries = this.entries[dimension];
+
+    for (const feedCategory of feedCategories.filter(Boolean)) {
+      const name = normalizeText(feedCategory);
+      const entry = entries.find(candidate => candidate.names.has(name));
+      if (entry) {
+        return {
+          id: entry.id,
+          label: entry.label,
+          confidence: this.settings.feedCategoryConfidence,
+          source: 'feed',
+          matched: [feedCategory]
+        };
+      }
+    }
+
+    const titleText = normalizeText(title);
+    const descriptionText = normalizeText(description);
+    const minScore = typeof this.settings.minScore === 'object'
+      ? this.settings.minScore[dimension] || 1
+      : this.settings.minScore || 1;
+
+    const scored = entries
+      .map(entry => {
+        const matched = [];
+        let score = 0;
+
+        for (const { keyword, regex } of entry.title) {
+          if (regex.test(titleText)) {
+            score += this.settings.titleWeight;
+            matched.push(keyword);
+          }
+        }
+        for (const { keyword, regex } of entry.description) {
+          if (regex.test(descriptionText)) {
+            score += this.settings.descriptionWeight;
+            matched.push(keyword);
+          }
+        }
+
+        return { entry, score, matched };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (scored.length === 0 || scored[0].score < minScore) {
+      return { id: 'other', label: 'Other', confidence: 0, source: 'none', matched: [] };
+    }
+
+    // Confidence reflects both how far the winner clears the threshold and how
+    // clearly it beats the runner-up.
+    const [best, runnerUp] = scored;
+    const margin = runnerUp ? (best.score - runnerUp.score) / best.score : 1;
+    const strength = Math.min(1, best.score / (minScore * 2));
+    const confidence = Math.round((0.5 * strength + 0.5 * margin) * 100) / 100;
+
+    return {
+      id: best.entry.id,
+      label: best.entry.label,
+      confidence,
+      source: 'keywords',
+      matched: best.matched
+    };
+  }
+
+  getCategories() {
+    return this.entries.categories.map(entry => ({ id: entry.id, label: entry.label }));
+  }
+}
+
+export default JobClassifier;
@@ -0,0 +1,244 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStorage } from './storage-adapters.js';
+import { upgradeRecord } from './queue-migrations.js';
+
+// Append-only history of every job queue change, kept in the "job-events"
+// store next to the queue:
+//
+//   jobs/<guid>/<at>-<rev>-<id>     One event per written record
+//   counters/<at>-<rev>-<id>        One event per counter update
+//   job-numbers/<jobNumber>/<guid>  Marks the guids seen under a job number
+//
+// Events are only ever created, never rewritten; retention (see
+// queue-maintenance.js) deletes the oldest. Each one names the run and
+// the actor that caused it, the field-level changes and the record as it was
+// written, so the queue can be rebuilt from the log alone (see
+// scripts/replay-job-events.js).
+
+const JOB_PREFIX = 'jobs/';
+const COUNTERS_PREFIX = 'counters/';
+const JOB_NUMBER_PREFIX = 'job-numbers/';
+const LOAD_CONCURRENCY = 20;
+
+// Events that create a record; after a removal they start its revs again.
+const LIFE_STARTING_EVENTS = ['discovered', 'imported', 'migrated'];
+
+// Event types by the status a job moved to.
+const STATUS_EVENTS = {
+  reserved: 'reserved',
+  sent: 'sent',
+  failed: 'failed',
+  skipped: 'skipped',
+  closed: 'closed',
+  duplicate: 'linked-duplicate'
+};
+
+class JobEventLog {
+  constructor() {
+    this.storeName = 'job-events';
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(this.storeName);
+    }
+    return this.storage;
+  }
+
+  jobPrefix(guid) {
+    return `${JOB_PREFIX}${encodeURIComponent(guid)}/`;
+  }
+
+  jobNumberPrefix(jobNumber) {
+    return `${JOB_NUMBER_PREFIX}${encodeURIComponent(String(jobNumber).trim().toLowerCase())}/`;
+  }
+
+  // Names the event for a record write from the status before and after.
+  eventType(before, after) {
+    if (!after) return 'cleaned-up';
+    if (!before) return 'discovered';
+    if (before.status === after.status) return 'updated';
+    if (after.status === 'pending') return before.status === 'reserved' ? 'released' : 'requeued';
+    return STATUS_EVENTS[after.status] || 'updated';
+  }
+
+  // Top-level fields that differ, as { field: { from, to } }.
+  diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      if (field === 'rev') continue;
+      const from = before?.[field] ?? null;
+      const to = after?.[field] ?? null;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  // Records one job record write. `before` is null for a new record and
+  // `after` null for a removed one; `type` overrides the derived event type.
+  async recordJob({ before, after, runId, actor, operation, type = null }) {
+    const job = after || before;
+    const at = new Date().toISOString();
+    const event = {
+      id: uuidv4(),
+      type: type || this.eventType(before, after),
+      at,
+      runId,
+      actor,
+      operation,
+      guid: job.guid,
+      jobNumber: job.jobNumber || null,
+      // A removal is the record's next write.
+      rev: after ? after.rev || 1 : (before.rev || 1) + 1,
+      status: after ? after.status : null,
+      changes: this.diff(before, after),
+      record: after || null
+    };
+
+    const storage = this.getStorage();
+    const rev = String(event.rev || 0).padStart(8, '0');
+    await storage.set(`${this.jobPrefix(job.guid)}${at}-${rev}-${event.id}`, event, { onlyIfNew: true });
+    if (job.jobNumber && !before) {
+      await storage.set(`${this.jobNumberPrefix(job.jobNumber)}${encodeURIComponent(job.guid)}`, { guid: job.guid, at }, { onlyIfNew: true });
+    }
+    return event;
+  }
+
+  async recordCounters({ counters, delta, runId, actor, operation }) {
+    const at = new Date().toISOString();
+    const event = { id: uuidv4(), type: 'counters', at, runId, actor, operation, delta, counters };
+    const rev = String(counters.rev || 0).padStart(8, '0');
+    await this.getStorage().set(`${COUNTERS_PREFIX}${at}-${rev}-${event.id}`, event, { onlyIfNew: true });
+    return event;
+  }
+
+  async loadEvents(keys) {
+    const storage = this.getStorage();
+    const events = [];
+    for (let start = 0; start < keys.length; start += LOAD_CONCURRENCY) {
+      const batch = await Promise.all(keys.slice(start, start + LOAD_CONCURRENCY).map(key => storage.get(key)));
+      events.push(...batch.filter(Boolean));
+    }
+    return events;
+  }
+
+  // Counter events from before counters had a rev read as rev 0.
+  revOf(key) {
+    const match = key.slice(key.lastIndexOf('/') + 1).match(/^.{24}-(\d{8})-[0-9a-f-]{36}$/);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  // The event holding a guid's last write, given its keys in time order. Time
+  // comes from each writer's clock, so the highest rev wins over it; only
+  // when the two disagree are the events loaded, because a record removed and
+  // created again restarts its revs. Within each life of the record (from its
+  // creation after a removal, or from a restore) the highest rev wins, a
+  // removal logged without a rev counts as last, and time breaks ties.
+  async loadLatestEvent(keys) {
+    const last = keys[keys.length - 1];
+    if (keys.every(key => this.revOf(key) <= this.revOf(last))) {
+      return await this.getStorage().get(last);
+    }
+
+    const revOf = event => event.rev ?? (event.record ? 1 : Infinity);
+    let latest = null;
+    for (const event of await this.loadEvents(keys)) {
+      const startsLife = event.type === 'restored' || (LIFE_STARTING_EVENTS.includes(event.type) && latest && !latest.record);
+      if (!latest || startsLife || revOf(event) >= revOf(latest)) {
+        latest = event;
+      }
+    }
+    return latest;
+  }
+
+  // Events for one guid, oldest first. Keys sort by time, then rev.
+  async getJobEvents(guid, { includeRecords = false } = {}) {
+    const keys = (await this.getStorage().list(this.jobPrefix(guid))).sort();
+    const events = await this.loadEvents(keys);
+    return includeRecords ? events : events.map(({ record, ...event }) => event);
+  }
+
+  async getGuidsForJobNumber(jobNumber) {
+    const prefix = this.jobNumberPrefix(jobNumber);
+    return (await this.getStorage().list(prefix)).map(key => decodeURIComponent(key.slice(prefix.length)));
+  }
+
+  // Events for a guid or every guid seen under a job number, oldest first.
+  async query({ guid = null, jobNumber = null, includeRecords = false } = {}) {
+    const guids = guid ? [guid] : await this.getGuidsForJobNumber(jobNumber);
+    const events = [];
+    for (const eventGuid of guids) {
+      events.push(...await this.getJobEvents(eventGuid, { includeRecords }));
+    }
+    return events.sort((a, b) => a.at.localeCompare(b.at) || (a.rev || 0) - (b.rev || 0));
+  }
+
+  // Deletes events recorded before `before`, and the job-number markers of
+  // guids left without events. Keys start with the event time, so nothing is
+  // loaded. Resolves to the counts deleted (or, with `dryRun`, to delete).
+  async prune(before, { dryRun = false } = {}) {
+    const storage = this.getStorage();
+    const cutoff = before.toISOString();
+    const isExpired = key => key.slice(key.lastIndexOf('/') + 1, key.lastIndexOf('/') + 1 + cutoff.length) < cutoff;
+
+    const jobKeys = await storage.list(JOB_PREFIX);
+    const expiredJobKeys = jobKeys.filter(isExpired);
+    const counterKeys = (await storage.list(COUNTERS_PREFIX)).filter(isExpired);
+
+    const guidOf = key => decodeURIComponent(key.slice(JOB_PREFIX.length, key.lastIndexOf('/')));
+    const remaining = new Set(jobKeys.filter(key => !isExpired(key)).map(guidOf));
+    const emptied = new Set(expiredJobKeys.map(guidOf).filter(guid => !remaining.has(guid)));
+    const markerKeys = emptied.size === 0 ? [] : (await storage.list(JOB_NUMBER_PREFIX))
+      .filter(key => emptied.has(decodeURIComponent(key.slice(key.lastIndexOf('/') + 1))));
+
+    if (!dryRun) {
+      for (const key of [...expiredJobKeys, ...counterKeys, ...markerKeys]) {
+        await storage.delete(key);
+      }
+    }
+
+    return { jobEvents: expiredJobKeys.length, counterEvents: counterKeys.length, jobNumberMarkers: markerKeys.length };
+  }
+
+  // Rebuilds queue state from the log: the last record written for each guid
+  // (null when its last event removed it), upgraded to the current record
+  // schema, and the last counters.
+  async replay() {
+    const storage = this.getStorage();
+    const jobKeys = (await storage.list(JOB_PREFIX)).sort();
+    const keysByGuid = new Map();
+    for (const key of jobKeys) {
+      const prefix = key.slice(0, key.lastIndexOf('/') + 1);
+      if (!keysByGuid.has(prefix)) keysByGuid.set(prefix, []);
+      keysByGuid.get(prefix).push(key);
+    }
+
+    const records = new Map();
+    const groups = Array.from(keysByGuid.values());
+    for (let start = 0; start < groups.length; start += LOAD_CONCURRENCY) {
+      const events = await Promise.all(groups.slice(start, start + LOAD_CONCURRENCY).map(keys => this.loadLatestEvent(keys)));
+      for (const event of events) {
+        if (event) records.set(event.guid, upgradeRecord(event.record));
+      }
+    }
+
+    // The highest rev wins; between equal revs, the later key.
+    const counterKeys = (await storage.list(COUNTERS_PREFIX)).sort();
+    const latestCounterKey = counterKeys.reduce((latest, key) => (!latest || this.revOf(key) >= this.revOf(latest) ? key : latest), null);
+    const lastCounters = latestCounterKey ? await storage.get(latestCounterKey) : null;
+
+    return {
+      records,
+      counters: lastCounters ? lastCounters.counters : null,
+      eventCount: jobKeys.length + counterKeys.length
+    };
+  }
+}
+
+export default JobEventLog;
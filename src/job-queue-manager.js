@@ -1,207 +1,1682 @@
-import { getStore } from '@netlify/blobs';
+import ChangeRuleEngine from './change-rules.js';
+import BatchPolicies from './batch-policies.js';
+import JobEventLog from './job-event-log.js';
+import QueueBackups from './queue-backups.js';
+import DuplicateDetector from './duplicate-detector.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createStorage } from './storage-adapters.js';
+import FeedRegistry from './feed-registry.js';
+import { JOB_STATES, canTransition, transitionJob } from './job-states.js';
+import { QUEUE_MIGRATIONS, QUEUE_SCHEMA_VERSION, RECORD_SCHEMA_VERSION, upgradeRecord } from './queue-migrations.js';
+
+// Queue layout in the "job-queue" store (see storage-adapters.js):
+//
+//   jobs/<guid>  One record per queued job. Records are the source of truth.
+//   index        { jobs: { <guid>: summary } } holding only what batching,
+//                stats, lifecycle checks and duplicate matching read, so those
+//                never load every record.
+//   counters     { emailsSent, totalJobsProcessed, lastProcessed, rev }
+//   schema       { schemaVersion, migrations } - see queue-migrations.js
+//   stats        { compacted: { <status>: summary }, lastCompaction } for jobs
+//                removed by retention, so lifetime totals survive pruning
+//   removed      { jobs: { <guid>: { aliasOf, status, sourceId, removedAt,
+//                reason } } } marking each guid (and alias) of a sent, closed
+//                or skipped job removed by a cleanup or by retention, so a job
+//                still listed in its feed is not queued again. A marker is
+//                dropped once its feed loads without the guid, or after
+//                JOB_REMOVED_MARKER_DAYS (default 365).
+//
+// Every document is written conditionally on its tag (the blob ETag, or the
+// backend's equivalent) and retried on conflict. Records are written before the index, and each carries a `rev`
+// that the index keeps, so a slow writer can never replace a newer summary
+// with an older one. The index can always be rebuilt from the records.
+//
+// Every record write is also appended to the audit log (job-event-log.js).
+//
+// Older layouts are migrated on first use (see queue-migrations.js): the
+// single-document queue under the `job-queue` key is kept as
+// `migrated/job-queue`, and the jobs of the legacy JobStorage as
+// `migrated/accumulated-jobs` in its "job-storage" store.
+
+const LEGACY_KEY = 'job-queue';
+const MIGRATED_KEY = 'migrated/job-queue';
+const INDEX_KEY = 'index';
+const COUNTERS_KEY = 'counters';
+const SCHEMA_KEY = 'schema';
+const STATS_KEY = 'stats';
+const REMOVED_KEY = 'removed';
+const LEGACY_STORAGE_STORE = 'job-storage';
+const LEGACY_STORAGE_KEY = 'accumulated-jobs';
+const MIGRATED_STORAGE_KEY = 'migrated/accumulated-jobs';
+const JOB_PREFIX = 'jobs/';
+const LOAD_CONCURRENCY = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowest first. Jobs without a priority are `normal`.
+const PRIORITY_LEVELS = ['low', 'normal', 'high', 'urgent'];
+
+const CLEANUP_MODES = ['all', 'sent', 'older-than', 'status'];
+
+// Finished jobs that stay removed while their feed still lists them.
+const MARKED_STATUSES = ['sent', 'closed', 'skipped'];
 
 class JobQueueManager {
-  constructor() {
-    this.storageKey = 'job-queue';
-    this.store = null;
-    this.useBlobs = false;
-    this.fallbackStorage = {};
+  // `runId` and `actor` are stamped on every audit event this instance writes.
+  constructor({ runId = uuidv4(), actor = 'system' } = {}) {
+    this.storeName = 'job-queue';
+    this.storage = null;
+    this.eventLog = null;
+    this.backups = null;
+    this.runId = runId;
+    this.actor = actor;
+    this.layoutReady = null;
+    this.changeRules = null;
+    this.duplicateDetector = null;
+    this.batchPolicies = null;
+    this.maxWriteAttempts = parseInt(process.env.QUEUE_WRITE_ATTEMPTS) || 5;
+    this.leaseMinutes = parseInt(process.env.JOB_RESERVATION_LEASE_MINUTES) || 15;
+    this.maxSendAttempts = parseInt(process.env.JOB_MAX_SEND_ATTEMPTS) || 3;
+    this.pinDays = parseInt(process.env.JOB_PIN_DAYS) || 7;
+    this.removedMarkerDays = parseInt(process.env.JOB_REMOVED_MARKER_DAYS) || 365;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(this.storeName);
+    }
+    return this.storage;
   }
 
-  async getStore() {
-    if (this.store) return this.store;
-    
+  getEventLog() {
+    if (!this.eventLog) {
+      this.eventLog = new JobEventLog();
+    }
+    return this.eventLog;
+  }
+
+  getBackups() {
+    if (!this.backups) {
+      this.backups = new QueueBackups();
+    }
+    return this.backups;
+  }
+
+  // The queue write has already happened, so a lost event is reported rather
+  // than failing the operation.
+  async recordJobEvent(operation, before, after, type = null) {
     try {
-      console.log('🔄 Initializing Netlify Blobs store for job queue...');
-      
-      this.store = getStore('job-queue', {
-        siteID: '448fec77-521b-4a59-84c2-d745b8b9d2c4',
-        token: process.env.NETLIFY_AUTH_TOKEN
-      });
-      this.useBlobs = true;
-      console.log('✅ Job queue store initialized with manual config');
-      return this.store;
-      
+      await this.getEventLog().recordJob({ before, after, runId: this.runId, actor: this.actor, operation, type });
     } catch (error) {
-      console.error('❌ Blobs initialization failed:', error.message);
-      console.log('📝 Falling back to in-memory storage');
-      this.useBlobs = false;
-      return null;
+      console.error(`⚠️ Could not record the audit event for ${(after || before).guid} (${operation}):`, error.message);
     }
   }
 
-  async getJobQueue() {
-    try {
-      const store = await this.getStore();
-      
-      if (store) {
-        console.log('📥 Reading job queue from Netlify Blobs...');
-        const queueData = await store.get(this.storageKey, { type: 'json' });
-        if (queueData) {
-          return this.normalizeQueueData(queueData);
-        }
+  jobKey(guid) {
+    return `${JOB_PREFIX}${encodeURIComponent(guid)}`;
+  }
+
+
+  // Returns { data, tag }, with the tag (an ETag or version) the next
+  // conditional write is checked against; both are null when missing.
+  async readDocument(key) {
+    return await this.getStorage().getWithTag(key);
+  }
+
+  // Returns false when the document changed since `tag` was read (or was
+  // created, when `tag` is null).
+  async writeDocument(key, data, tag) {
+    return await this.getStorage().set(key, data, tag ? { onlyIfMatch: tag } : { onlyIfNew: true });
+  }
+
+  async deleteDocument(key) {
+    await this.getStorage().delete(key);
+  }
+
+  async listKeys(prefix) {
+    return await this.getStorage().list(prefix);
+  }
+
+  // Read-modify-write of one document. `mutate` gets the current document
+  // (null when missing) and returns { changed, result, value }; after a
+  // conflicting write the document is re-read and `mutate` runs again, so it
+  // must not rely on anything from a previous attempt.
+  async updateDocument(key, operation, mutate) {
+    for (let attempt = 1; attempt <= this.maxWriteAttempts; attempt++) {
+      const { data, tag } = await this.readDocument(key);
+      const { changed, result, value } = await mutate(data);
+
+      if (!changed) return result;
+      if (await this.writeDocument(key, value, tag)) return result;
+
+      if (attempt < this.maxWriteAttempts) {
+        const delay = Math.round(100 * 2 ** (attempt - 1) * (0.5 + Math.random()));
+        console.warn(`⚠️ Job queue ${key} changed while ${operation}, retrying in ${delay}ms (attempt ${attempt}/${this.maxWriteAttempts})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
-      
-      console.log('📝 Using fallback storage for queue');
-      const queueData = this.fallbackStorage[this.storageKey];
-      return this.normalizeQueueData(queueData);
-      
-    } catch (error) {
-      console.error('Error retrieving job queue:', error);
-      return this.getEmptyQueue();
     }
+
+    throw new Error(`Job queue write conflict while ${operation}: ${key} kept changing and ${this.maxWriteAttempts} attempts failed. Retry once the other run has finished.`);
+  }
+
+  // Applies `mutate(record)` (returning { changed, result }) to one job record.
+  // Resolves to { record, changed, result }, with `record` null when the job
+  // does not exist.
+  async updateJob(guid, operation, mutate) {
+    let before = null;
+    const outcome = await this.updateDocument(this.jobKey(guid), operation, record => {
+      if (!record) return { changed: false, result: { record: null, changed: false, result: null } };
+
+      upgradeRecord(record);
+      before = structuredClone(record);
+      const { changed, result } = mutate(record);
+      if (changed) record.rev = (record.rev || 0) + 1;
+      return { changed, result: { record, changed, result }, value: record };
+    });
+
+    if (outcome.changed) await this.recordJobEvent(operation, before, outcome.record);
+    return outcome;
+  }
+
+  // Resolves to { record, created }; an existing record is returned untouched.
+  async createJob(entry, operation, eventType = 'discovered') {
+    const outcome = await this.updateDocument(this.jobKey(entry.guid), operation, record => record
+      ? { changed: false, result: { record, created: false } }
+      : { changed: true, result: { record: entry, created: true }, value: entry });
+
+    if (outcome.created) await this.recordJobEvent(operation, null, outcome.record, eventType);
+    return outcome;
+  }
+
+  // Resolves to false when there was no record, or `shouldRemove(record)`
+  // kept it.
+  async removeJob(guid, operation, shouldRemove = null) {
+    const key = this.jobKey(guid);
+    const { data: record } = await this.readDocument(key);
+    if (shouldRemove && !(record && shouldRemove(upgradeRecord(record)))) return false;
+
+    await this.deleteDocument(key);
+    if (record) await this.recordJobEvent(operation, record, null);
+    return Boolean(record);
+  }
+
+  async loadJobs(guids) {
+    const jobs = [];
+    for (let start = 0; start < guids.length; start += LOAD_CONCURRENCY) {
+      const batch = await Promise.all(guids.slice(start, start + LOAD_CONCURRENCY)
+        .map(guid => this.readDocument(this.jobKey(guid))));
+      jobs.push(...batch.map(entry => upgradeRecord(entry.data)).filter(Boolean));
+    }
+    return jobs;
+  }
+
+  // Resolves once the store is on the current schema. Migration steps must
+  // not call anything that waits on it (readIndex, readCounters, ...).
+  async ensureLayout() {
+    if (!this.layoutReady) {
+      this.layoutReady = this.runMigrations().catch(error => {
+        this.layoutReady = null;
+        throw error;
+      });
+    }
+    return this.layoutReady;
+  }
+
+  // Applies the migration steps the store has not had, in order, recording
+  // each one in the schema document. Resolves to { from, to, applied }.
+  async runMigrations() {
+    const { data } = await this.readDocument(SCHEMA_KEY);
+    const from = data?.schemaVersion || 0;
+
+    if (from > QUEUE_SCHEMA_VERSION) {
+      throw new Error(`Job queue schema version ${from} is newer than this code supports (${QUEUE_SCHEMA_VERSION}); deploy the newer version`);
+    }
+
+    const applied = [];
+    for (const step of QUEUE_MIGRATIONS.filter(step => step.version > from)) {
+      console.log(`🧬 Applying job queue migration ${step.version} (${step.name})...`);
+      const result = (await step.run(this)) || null;
+      const entry = { version: step.version, name: step.name, appliedAt: new Date().toISOString(), runId: this.runId, result };
+
+      // Another instance may have recorded the step while this one ran it.
+      await this.updateDocument(SCHEMA_KEY, `recording job queue migration ${step.version}`, schema => {
+        const current = schema || { schemaVersion: 0, migrations: [] };
+        if (current.schemaVersion >= step.version) return { changed: false, result: null };
+        return {
+          changed: true,
+          result: null,
+          value: { schemaVersion: step.version, migrations: [...current.migrations, entry] }
+        };
+      });
+      applied.push(entry);
+    }
+
+    if (applied.length > 0) {
+      console.log(`✅ Job queue schema is at version ${QUEUE_SCHEMA_VERSION} (was ${from})`);
+    }
+    return { from, to: QUEUE_SCHEMA_VERSION, applied };
   }
 
-  normalizeQueueData(data) {
-    if (!data) return this.getEmptyQueue();
-    
+  async getSchemaStatus() {
+    const { data } = await this.readDocument(SCHEMA_KEY);
+    const schemaVersion = data?.schemaVersion || 0;
+
     return {
-      jobQueue: Array.isArray(data.jobQueue) ? data.jobQueue : [],
-      lastProcessed: data.lastProcessed || new Date().toISOString(),
-      emailsSent: data.emailsSent || 0,
-      totalJobsProcessed: data.totalJobsProcessed || 0
+      schemaVersion,
+      latestVersion: QUEUE_SCHEMA_VERSION,
+      recordSchemaVersion: RECORD_SCHEMA_VERSION,
+      pending: QUEUE_MIGRATIONS
+        .filter(step => step.version > schemaVersion)
+        .map(({ version, name, description }) => ({ version, name, description })),
+      migrations: data?.migrations || []
     };
   }
 
-  getEmptyQueue() {
+  // Safe to run from several instances at once: records are only created when
+  // missing and the counters only when absent.
+  async migrateLegacyQueue() {
+    const { data: legacy } = await this.readDocument(LEGACY_KEY);
+    if (!legacy) return;
+
+    const jobs = (Array.isArray(legacy.jobQueue) ? legacy.jobQueue : []).filter(job => job.guid);
+    const operation = 'migrating the single-document queue';
+    console.log(`🚚 Migrating ${jobs.length} jobs from the single-document queue to per-job records...`);
+
+    const records = [];
+    for (const job of jobs) {
+      const { record } = await this.createJob(upgradeRecord({ ...job }), operation, 'migrated');
+      records.push(record);
+    }
+    await this.commitRecords(operation, records);
+
+    await this.updateDocument(COUNTERS_KEY, operation, counters => counters
+      ? { changed: false, result: counters }
+      : {
+          changed: true,
+          value: {
+            emailsSent: legacy.emailsSent || 0,
+            totalJobsProcessed: legacy.totalJobsProcessed || 0,
+            lastProcessed: legacy.lastProcessed || new Date().toISOString()
+          }
+        });
+
+    await this.updateDocument(MIGRATED_KEY, operation, () => ({
+      changed: true,
+      value: { ...legacy, migratedAt: new Date().toISOString() }
+    }));
+    await this.deleteDocument(LEGACY_KEY);
+    console.log(`✅ Migrated ${records.length} jobs; the old document is kept as ${MIGRATED_KEY}`);
+    return { migrated: records.length };
+  }
+
+  // Queues the jobs the legacy JobStorage accumulated and never sent as
+  // pending entries of the default feed. A job is left out when the queue
+  // already holds it, in any status, or a job it duplicates. Its apply URL
+  // becomes the guid: the feed's own guid when the feed sets none, and
+  // otherwise a key the next fetch links the feed item to as a repost.
+  async importLegacyJobStorage() {
+    const legacyStorage = createStorage(LEGACY_STORAGE_STORE);
+    const legacyJobs = await legacyStorage.get(LEGACY_STORAGE_KEY);
+    if (!legacyJobs) return null;
+
+    const jobs = Array.isArray(legacyJobs) ? legacyJobs : [];
+    const operation = 'importing legacy JobStorage jobs';
+    console.log(`🚚 Importing ${jobs.length} jobs from the legacy JobStorage...`);
+
+    const { data } = await this.readDocument(INDEX_KEY);
+    const entries = this.getIndexEntries(this.normalizeIndex(data));
+    const knownGuids = new Set(entries.flatMap(entry => [entry.guid, ...(entry.aliasGuids || [])]));
+    const detector = this.getDuplicateDetector();
+    const matchIndex = detector.buildIndex(entries);
+    const sourceId = jobs.length > 0 ? new FeedRegistry().getDefaultFeed().id : null;
+    const now = new Date().toISOString();
+    const summary = { found: jobs.length, imported: [], alreadyQueued: [], invalid: 0 };
+    const written = [];
+
+    for (const job of jobs) {
+      if (!job || !job.apply_url || !job.title) {
+        summary.invalid++;
+        continue;
+      }
+
+      const entry = this.createQueueEntry(this.fromLegacyJob(job, sourceId), now);
+      entry.legacy = { id: job.id || null, parsedAt: job.parsed_at || null, importedAt: now };
+
+      const match = knownGuids.has(entry.guid) ? null : detector.findMatch(entry, matchIndex);
+      if (knownGuids.has(entry.guid) || match) {
+        summary.alreadyQueued.push(match ? match.original.guid : entry.guid);
+        continue;
+      }
+
+      const { record, created } = await this.createJob(entry, operation, 'imported');
+      written.push(record);
+      knownGuids.add(entry.guid);
+      detector.addToIndex(matchIndex, { guid: record.guid, ...this.summarizeForIndex(record) });
+      if (created) summary.imported.push(record.guid);
+    }
+
+    await this.commitRecords(operation, written);
+    if (summary.imported.length > 0) {
+      await this.bumpCounters(operation, { totalJobsProcessed: summary.imported.length });
+    }
+
+    await legacyStorage.set(MIGRATED_STORAGE_KEY, {
+      jobs: legacyJobs,
+      migratedAt: now,
+      imported: summary.imported,
+      alreadyQueued: summary.alreadyQueued
+    });
+    await legacyStorage.delete(LEGACY_STORAGE_KEY);
+
+    console.log(`✅ Imported ${summary.imported.length} legacy jobs (${summary.alreadyQueued.length} already queued, ${summary.invalid} unusable); the old document is kept as ${MIGRATED_STORAGE_KEY}`);
+    return { found: summary.found, imported: summary.imported.length, alreadyQueued: summary.alreadyQueued.length, invalid: summary.invalid };
+  }
+
+  // Legacy jobs were stored as parsed for the email (see the old rss-parser);
+  // this maps them to the feed metadata createQueueEntry expects.
+  fromLegacyJob(job, sourceId) {
+    const location = job.location && job.location !== 'Location not specified' ? job.location : null;
+
     return {
-      jobQueue: [],
-      lastProcessed: new Date().toISOString(),
-      emailsSent: 0,
-      totalJobsProcessed: 0
+      guid: job.apply_url,
+      sourceId,
+      jobNumber: job.job_number || null,
+      title: job.title,
+      pubDate: job.published_date || job.parsed_at || null,
+      applyUrl: job.apply_url,
+      location: location ? { display: location } : null
     };
   }
 
+  normalizeIndex(data) {
+    return { jobs: data && data.jobs ? data.jobs : {} };
+  }
+
+  normalizeCounters(data) {
+    return {
+      emailsSent: data?.emailsSent || 0,
+      totalJobsProcessed: data?.totalJobsProcessed || 0,
+      lastProcessed: data?.lastProcessed || null,
+      lastEmailSentAt: data?.lastEmailSentAt || null,
+      rev: data?.rev || 0
+    };
+  }
+
+  async readIndex() {
+    await this.ensureLayout();
+    const { data } = await this.readDocument(INDEX_KEY);
+    return this.normalizeIndex(data);
+  }
+
+  async readCounters() {
+    await this.ensureLayout();
+    const { data } = await this.readDocument(COUNTERS_KEY);
+    return this.normalizeCounters(data);
+  }
+
+  normalizeStats(data) {
+    return {
+      compacted: data?.compacted || {},
+      lastCompaction: data?.lastCompaction || null
+    };
+  }
+
+  async readStats() {
+    await this.ensureLayout();
+    const { data } = await this.readDocument(STATS_KEY);
+    return this.normalizeStats(data);
+  }
+
+  // Index entries as objects carrying their guid, optionally by status.
+  getIndexEntries(index, statuses = null) {
+    return Object.entries(index.jobs)
+      .filter(([, entry]) => !statuses || statuses.includes(entry.status))
+      .map(([guid, entry]) => ({ guid, ...entry }));
+  }
+
+  getFinishedAt(job) {
+    return job.sentAt || job.closedAt || job.failedAt || job.skippedAt || (job.status === 'duplicate' ? job.duplicate?.detectedAt : null) || null;
+  }
+
+  summarizeForIndex(job) {
+    const active = job.status === 'pending' || job.status === 'sent';
+
+    return {
+      rev: job.rev || 1,
+      status: job.status,
+      sourceId: job.sourceId || null,
+      pubDate: job.pubDate,
+      contentHash: job.contentHash || null,
+      missingRuns: job.missingRuns || 0,
+      aliasGuids: job.aliasGuids && job.aliasGuids.length > 0 ? job.aliasGuids : undefined,
+      duplicateOf: job.duplicateOf || undefined,
+      reviewed: job.duplicate ? true : undefined,
+      categoryId: job.category?.id || null,
+      location: active ? job.location?.display || job.content?.location || null : undefined,
+      hasSalary: Boolean(job.salary),
+      priority: job.priority && job.priority.level !== 'normal' ? job.priority.level : undefined,
+      pinnedAt: job.pin?.pinnedAt,
+      pinExpiresAt: job.pin?.expiresAt,
+      finishedAt: this.getFinishedAt(job),
+      reservationId: job.reservation?.id,
+      campaignId: job.reservation?.campaignId || undefined,
+      leaseExpiresAt: job.reservation?.leaseExpiresAt,
+      matchKeys: active ? this.getDuplicateDetector().buildKeys(job) : undefined
+    };
+  }
+
+  // Brings the index in line with records that were just written. Records
+  // whose guid appears in `removedGuids` (or that are null) are dropped.
+  async commitRecords(operation, records, removedGuids = []) {
+    if (records.length === 0 && removedGuids.length === 0) {
+      return this.normalizeIndex((await this.readDocument(INDEX_KEY)).data);
+    }
+
+    return await this.updateDocument(INDEX_KEY, operation, data => {
+      const index = this.normalizeIndex(data);
+      let changed = !data;
+
+      for (const record of records) {
+        const current = index.jobs[record.guid];
+        // A newer write of the same record was indexed first.
+        if (current && current.rev > (record.rev || 1)) continue;
+        index.jobs[record.guid] = this.summarizeForIndex(record);
+        changed = true;
+      }
+
+      for (const guid of removedGuids) {
+        if (!index.jobs[guid]) continue;
+        delete index.jobs[guid];
+        changed = true;
+      }
+
+      return { changed, result: index, value: index };
+    });
+  }
+
+  async bumpCounters(operation, { emailsSent = 0, totalJobsProcessed = 0 } = {}) {
+    return await this.writeCounters(operation, current => {
+      const counters = { ...current };
+      counters.emailsSent += emailsSent;
+      counters.totalJobsProcessed += totalJobsProcessed;
+      counters.lastProcessed = new Date().toISOString();
+      if (emailsSent > 0) counters.lastEmailSentAt = counters.lastProcessed;
+      return counters;
+    }, { emailsSent, totalJobsProcessed });
+  }
+
+  // Replaces the counters with `compute(current)` under the next `rev`, which
+  // the audit log replays them by. `delta` is null when they were set rather
+  // than counted up.
+  async writeCounters(operation, compute, delta = null) {
+    const counters = await this.updateDocument(COUNTERS_KEY, operation, data => {
+      const current = this.normalizeCounters(data);
+      const counters = { ...compute(current), rev: current.rev + 1 };
+      return { changed: true, result: counters, value: counters };
+    });
+
+    try {
+      await this.getEventLog().recordCounters({
+        counters,
+        delta,
+        runId: this.runId,
+        actor: this.actor,
+        operation
+      });
+    } catch (error) {
+      console.error(`⚠️ Could not record the audit event for the counters (${operation}):`, error.message);
+    }
+    return counters;
+  }
+
+  // Writes each job's change and indexes the results. `mutate(record)` returns
+  // { changed, result }; resolves to the per-job results keyed by guid.
+  async updateJobs(operation, guids, mutate) {
+    const results = new Map();
+    const written = [];
+    const missing = [];
+
+    for (const guid of guids) {
+      const outcome = await this.updateJob(guid, operation, mutate);
+      if (!outcome.record) {
+        missing.push(guid);
+        continue;
+      }
+      if (outcome.changed) written.push(outcome.record);
+      results.set(guid, outcome.result);
+    }
+
+    await this.commitRecords(operation, written, missing);
+    return results;
+  }
+
   async addNewJobs(jobMetadata) {
     if (!Array.isArray(jobMetadata) || jobMetadata.length === 0) {
       console.log('No new job metadata to add to queue');
-      return await this.getJobQueue();
+      return { added: [], duplicates: [], pendingJobs: await this.getPendingCount() };
     }
 
+    const operation = 'adding jobs';
+
     try {
-      const queueData = await this.getJobQueue();
-      const existingGuids = new Set(queueData.jobQueue.map(job => job.guid));
-      
-      const newJobs = jobMetadata
-        .filter(job => {
-          if (!job.guid) {
-            console.warn('Job missing GUID, skipping:', job.title || 'unknown');
-            return false;
-          }
-          return !existingGuids.has(job.guid);
-        })
-        .map(job => ({
-          guid: job.guid,
-          jobNumber: job.jobNumber || null,
-          pubDate: job.pubDate || new Date().toISOString(),
-          status: 'pending',
-          discoveredAt: new Date().toISOString(),
-          applyUrl: job.applyUrl
-        }));
-
-      if (newJobs.length === 0) {
+      const queueIndex = await this.readIndex();
+      // Removed jobs still listed in their feed stay removed.
+      const knownGuids = new Set([...Object.keys(queueIndex.jobs), ...await this.listRemovedGuids()]);
+      const detector = this.getDuplicateDetector();
+      const index = detector.buildIndex(this.getIndexEntries(queueIndex));
+      const now = new Date().toISOString();
+      const written = [];
+      const added = [];
+      const duplicates = [];
+
+      for (const job of jobMetadata) {
+        if (!job.guid) {
+          console.warn('Job missing GUID, skipping:', job.title || 'unknown');
+          continue;
+        }
+        if (knownGuids.has(job.guid)) continue;
+        knownGuids.add(job.guid);
+
+        const entry = this.createQueueEntry(job, now);
+        const match = detector.findMatch(job, index);
+
+        // A generated GUID changes on every fetch, so linking it would add a
+        // new duplicate entry each run.
+        if (match && job.guidGenerated) {
+          console.log(`Job with generated GUID matches ${match.original.guid} on ${match.matchedOn.join(', ')}, not queueing`);
+          continue;
+        }
+
+        if (match) {
+          entry.status = 'duplicate';
+          entry.duplicateOf = match.original.guid;
+          entry.duplicate = { matchedOn: match.matchedOn, detectedAt: now, decision: 'auto' };
+        }
+
+        // Another run may have queued the job since the index was read; its
+        // record is re-indexed in case that run did not get that far.
+        const { record, created } = await this.createJob(entry, operation);
+        written.push(record);
+        if (!created) continue;
+
+        if (!match) {
+          detector.addToIndex(index, { guid: record.guid, ...this.summarizeForIndex(record) });
+          added.push(record.guid);
+          continue;
+        }
+
+        const original = await this.updateJob(match.original.guid, operation, job => {
+          job.aliasGuids = Array.from(new Set([...(job.aliasGuids || []), entry.guid]));
+          return { changed: true, result: null };
+        });
+        if (original.record) written.push(original.record);
+        duplicates.push(record.guid);
+        console.log(`🔁 ${entry.guid} looks like a repost of ${match.original.guid} (matched on ${match.matchedOn.join(', ')})`);
+      }
+
+      if (added.length === 0 && duplicates.length === 0) {
+        await this.commitRecords(operation, written);
         console.log('No unique new jobs to add to queue');
-        return queueData;
+        return { added, duplicates, pendingJobs: await this.getPendingCount() };
       }
 
-      queueData.jobQueue.push(...newJobs);
-      queueData.totalJobsProcessed += newJobs.length;
-      queueData.lastProcessed = new Date().toISOString();
+      const updatedIndex = await this.commitRecords(operation, written);
+      await this.bumpCounters(operation, { totalJobsProcessed: added.length });
+
+      const pendingJobs = this.getIndexEntries(updatedIndex, ['pending']).length;
+      console.log(`Added ${added.length} new jobs to queue (${duplicates.length} linked as duplicates). Total pending: ${pendingJobs}`);
+      return { added, duplicates, pendingJobs };
 
-      await this.saveQueueData(queueData);
-      
-      console.log(`Added ${newJobs.length} new jobs to queue. Total pending: ${this.getPendingCount(queueData)}`);
-      return queueData;
-      
     } catch (error) {
       console.error('Error adding jobs to queue:', error);
       throw new Error(`Failed to add jobs to queue: ${error.message}`);
     }
   }
 
-  async getNextBatch(count = 10) {
+  createQueueEntry(job, now = new Date().toISOString()) {
+    return {
+      guid: job.guid,
+      rev: 1,
+      schemaVersion: RECORD_SCHEMA_VERSION,
+      sourceId: job.sourceId || null,
+      jobNumber: job.jobNumber || null,
+      title: job.title || null,
+      pubDate: job.pubDate || now,
+      status: 'pending',
+      discoveredAt: now,
+      applyUrl: job.applyUrl,
+      location: job.location || null,
+      salary: job.salary || null,
+      category: job.category || null,
+      industry: job.industry || null,
+      content: job.content || null,
+      contentSources: job.contentSources || null,
+      contentHash: job.contentHash || null,
+      changeHistory: []
+    };
+  }
+
+  getDuplicateDetector() {
+    if (!this.duplicateDetector) {
+      this.duplicateDetector = new DuplicateDetector();
+    }
+    return this.duplicateDetector;
+  }
+
+  summarizeJob(job) {
+    if (!job) return null;
+    return {
+      guid: job.guid,
+      status: job.status,
+      title: job.title || job.content?.title || null,
+      jobNumber: job.jobNumber,
+      location: job.location?.display || job.content?.location || null,
+      applyUrl: job.applyUrl,
+      pubDate: job.pubDate
+    };
+  }
+
+  // Duplicates (and operator decisions) for review, newest first.
+  async getDuplicates({ includeResolved = false } = {}) {
+    const index = await this.readIndex();
+    const entries = this.getIndexEntries(index)
+      .filter(entry => entry.status === 'duplicate' || (includeResolved && entry.reviewed));
+    const jobs = await this.loadJobs(entries.map(entry => entry.guid));
+    const originals = await this.loadJobs(Array.from(new Set(jobs.map(job => job.duplicateOf).filter(Boolean))));
+    const byGuid = new Map(originals.map(job => [job.guid, job]));
+
+    return jobs
+      .filter(job => job.duplicate)
+      .map(job => ({
+        ...this.summarizeJob(job),
+        duplicateOf: job.duplicateOf || null,
+        duplicate: job.duplicate,
+        original: this.summarizeJob(byGuid.get(job.duplicateOf))
+      }))
+      .sort((a, b) => new Date(b.duplicate.detectedAt) - new Date(a.duplicate.detectedAt));
+  }
+
+  // Operator override. `distinct` releases a duplicate back to `pending` as a
+  // job of its own; `duplicate` links a pending job to `of`. Returns null when
+  // a job does not exist, or { error } when the change is not allowed.
+  async resolveDuplicate(guid, { decision, of = null, note = null, decidedBy = 'operator' } = {}) {
+    const operation = 'resolving a duplicate';
+
+    try {
+      if (!['distinct', 'duplicate'].includes(decision)) {
+        return { error: `Unknown decision "${decision}" (expected distinct or duplicate)` };
+      }
+
+      await this.ensureLayout();
+      const now = new Date().toISOString();
+      let original = null;
+
+      if (decision === 'duplicate') {
+        original = upgradeRecord((await this.readDocument(this.jobKey(of))).data);
+        if (!original) return null;
+        if (of === guid || original.status === 'duplicate') {
+          return { error: `Job ${of} cannot be used as the original` };
+        }
+      }
+
+      const outcome = await this.updateJob(guid, operation, job => {
+        const previousOf = job.status === 'duplicate' ? job.duplicateOf : null;
+
+        if (decision === 'distinct') {
+          if (job.status !== 'duplicate') {
+            return { changed: false, result: { error: `Job ${guid} is not marked as a duplicate (status ${job.status})` } };
+          }
+          transitionJob(job, 'pending', now);
+          job.duplicate = { ...job.duplicate, decision: 'distinct', previousOf: job.duplicateOf, decidedAt: now, decidedBy, note };
+          delete job.duplicateOf;
+          return { changed: true, result: { previousOf } };
+        }
+
+        if (!canTransition(job.status, 'duplicate')) {
+          return { changed: false, result: { error: `Only pending jobs can be linked as duplicates (status ${job.status})` } };
+        }
+        if ((job.aliasGuids || []).length > 0) {
+          return { changed: false, result: { error: `Job ${guid} is the original of ${job.aliasGuids.join(', ')}; release those first` } };
+        }
+
+        transitionJob(job, 'duplicate', now);
+        job.duplicateOf = of;
+        job.duplicate = {
+          matchedOn: job.duplicate?.matchedOn || [],
+          detectedAt: job.duplicate?.detectedAt || now,
+          decision: 'duplicate',
+          decidedAt: now,
+          decidedBy,
+          note
+        };
+        return { changed: true, result: { previousOf } };
+      });
+
+      if (!outcome.record) return null;
+      if (outcome.result.error) return { error: outcome.result.error };
+
+      const written = [outcome.record];
+      const { previousOf } = outcome.result;
+
+      if (previousOf) {
+        const previous = await this.updateJob(previousOf, operation, job => {
+          if (!(job.aliasGuids || []).includes(guid)) return { changed: false, result: null };
+          job.aliasGuids = job.aliasGuids.filter(alias => alias !== guid);
+          return { changed: true, result: null };
+        });
+        if (previous.changed) written.push(previous.record);
+      }
+      if (decision === 'duplicate') {
+        const linked = await this.updateJob(of, operation, job => {
+          job.aliasGuids = Array.from(new Set([...(job.aliasGuids || []), guid]));
+          return { changed: true, result: null };
+        });
+        if (linked.record) written.push(linked.record);
+      }
+
+      await this.commitRecords(operation, written);
+      if (decision === 'distinct') {
+        await this.bumpCounters(operation, { totalJobsProcessed: 1 });
+      }
+
+      console.log(`Duplicate decision for ${guid}: ${decision}${of ? ` of ${of}` : ''}`);
+      return { job: this.summarizeJob(outcome.record), duplicate: outcome.record.duplicate };
+
+    } catch (error) {
+      console.error('Error resolving duplicate:', error);
+      throw new Error(`Failed to resolve duplicate: ${error.message}`);
+    }
+  }
+
+  // The raw feed inputs a parsed content field was derived from; title and
+  // description are their own input.
+  getContentInputs(field, metadata) {
+    return metadata.contentInputs?.[field] || [field];
+  }
+
+  getChangeRules() {
+    if (!this.changeRules) {
+      this.changeRules = new ChangeRuleEngine();
+    }
+    return this.changeRules;
+  }
+
+  // Compares each known job's content hash with the feed. Field-level changes
+  // are appended to `changeHistory`; the change rules decide whether a job is
+  // requeued (e.g. a sent job whose salary went up).
+  async applyContentChanges(jobMetadata) {
+    const summary = { changed: [], requeued: [] };
+
+    if (!Array.isArray(jobMetadata) || jobMetadata.length === 0) {
+      return summary;
+    }
+
+    try {
+      const index = await this.readIndex();
+      const changedMetadata = jobMetadata.filter(job => {
+        const entry = index.jobs[job.guid];
+        return entry && job.contentHash && job.contentHash !== entry.contentHash;
+      });
+      const metadataByGuid = new Map(changedMetadata.map(job => [job.guid, job]));
+      const rules = this.getChangeRules();
+      const now = new Date().toISOString();
+
+      const results = await this.updateJobs('applying content changes', Array.from(metadataByGuid.keys()), job => {
+        const current = metadataByGuid.get(job.guid);
+        if (current.contentHash === job.contentHash) return { changed: false, result: null };
+
+        // Entries hashed before raw sources were (or never hashed) get a
+        // baseline, not a change.
+        if (!job.contentHash || !job.content || !job.contentSources) {
+          job.content = current.content;
+          job.contentSources = current.contentSources;
+          job.contentHash = current.contentHash;
+          return { changed: true, result: null };
+        }
+
+        // A parsed field only counts as changed when its raw input did.
+        const editedSources = new Set(Object.keys(current.contentSources)
+          .filter(source => current.contentSources[source] !== job.contentSources[source]));
+        const changes = Object.fromEntries(Object.entries(rules.diff(job.content, current.content))
+          .filter(([field]) => this.getContentInputs(field, current).some(source => editedSources.has(source))));
+
+        if (Object.keys(changes).length === 0) {
+          job.content = current.content;
+          job.contentSources = current.contentSources;
+          job.contentHash = current.contentHash;
+          return { changed: true, result: null };
+        }
+
+        const decision = rules.evaluate(job, changes);
+
+        job.changeHistory = Array.isArray(job.changeHistory) ? job.changeHistory : [];
+        job.changeHistory.push({
+          detectedAt: now,
+          changes,
+          rule: decision.id,
+          action: decision.action,
+          statusBefore: job.status
+        });
+
+        job.content = current.content;
+        job.contentSources = current.contentSources;
+        job.contentHash = current.contentHash;
+        job.location = current.location || job.location;
+        job.salary = current.salary || null;
+        job.category = current.category || job.category || null;
+        job.industry = current.industry || job.industry || null;
+        job.lastChangedAt = now;
+
+        // A reserved job is mid-send; the next change check can requeue it.
+        if (decision.action !== 'requeue' || job.status === 'reserved' || !canTransition(job.status, 'pending')) {
+          return { changed: true, result: 'changed' };
+        }
+
+        job.lastSentAt = job.sentAt || job.lastSentAt || null;
+        delete job.sentAt;
+        transitionJob(job, 'pending', now);
+        job.requeuedAt = now;
+        job.requeueCount = (job.requeueCount || 0) + 1;
+        job.badge = decision.badge;
+        return { changed: true, result: 'requeued' };
+      });
+
+      for (const [guid, result] of results) {
+        if (result) summary.changed.push(guid);
+        if (result === 'requeued') summary.requeued.push(guid);
+      }
+
+      console.log(`Change detection: ${summary.changed.length} jobs changed, ${summary.requeued.length} requeued`);
+      return summary;
+
+    } catch (error) {
+      console.error('Error applying content changes:', error);
+      throw new Error(`Failed to apply content changes: ${error.message}`);
+    }
+  }
+
+  // Compares pending jobs against the feeds loaded this run. A job absent from
+  // its feed for `closeAfterMissingRuns` consecutive runs is closed.
+  async reconcileWithFeed(jobMetadata, { loadedSourceIds = [], defaultSourceId = null, closeAfterMissingRuns = null } = {}) {
+    const threshold = closeAfterMissingRuns || parseInt(process.env.JOB_CLOSE_AFTER_MISSING_RUNS) || 3;
+    const summary = { checked: 0, missing: [], reappeared: [], closed: [], forgotten: [] };
+
+    if (loadedSourceIds.length === 0) {
+      console.log('No feeds loaded this run, skipping lifecycle check');
+      return summary;
+    }
+
+    try {
+      const index = await this.readIndex();
+      const loadedSources = new Set(loadedSourceIds);
+      const feedGuids = new Set(jobMetadata.map(job => job.guid));
+      const now = new Date().toISOString();
+
+      // Jobs behind a generated GUID can only be recognised by their other keys.
+      const detector = this.getDuplicateDetector();
+      const matchIndex = detector.buildIndex(this.getIndexEntries(index));
+      jobMetadata
+        .filter(job => job.guidGenerated)
+        .forEach(job => {
+          const match = detector.findMatch(job, matchIndex);
+          if (match) feedGuids.add(match.original.guid);
+        });
+
+      const checked = this.getIndexEntries(index, ['pending'])
+        .filter(entry => loadedSources.has(entry.sourceId || defaultSourceId));
+      const present = new Set(checked
+        .filter(entry => [entry.guid, ...(entry.aliasGuids || [])].some(guid => feedGuids.has(guid)))
+        .map(entry => entry.guid));
+      summary.checked = checked.length;
+
+      // Present jobs only need writing when they were missing before.
+      const toUpdate = checked
+        .filter(entry => !present.has(entry.guid) || entry.missingRuns)
+        .map(entry => entry.guid);
+
+      const results = await this.updateJobs('reconciling with the feed', toUpdate, job => {
+        if (job.status !== 'pending') return { changed: false, result: null };
+
+        if (present.has(job.guid)) {
+          if (!job.missingRuns) return { changed: false, result: null };
+          job.missingRuns = 0;
+          job.missingSince = null;
+          return { changed: true, result: 'reappeared' };
+        }
+
+        job.missingRuns = (job.missingRuns || 0) + 1;
+        job.missingSince = job.missingSince || now;
+
+        if (job.missingRuns < threshold) return { changed: true, result: 'missing' };
+
+        transitionJob(job, 'closed', now);
+        job.closedAt = now;
+        job.closedReason = `Missing from feed ${job.sourceId || defaultSourceId} for ${job.missingRuns} consecutive runs (since ${job.missingSince})`;
+        return { changed: true, result: 'closed' };
+      });
+
+      for (const [guid, result] of results) {
+        if (result) summary[result].push(guid);
+      }
+
+      summary.forgotten = await this.forgetRemovedJobs(feedGuids, sourceId => loadedSources.has(sourceId || defaultSourceId));
+
+      console.log(`Lifecycle check: ${summary.checked} pending checked, ${summary.missing.length} missing, ${summary.closed.length} closed, ${summary.reappeared.length} reappeared, ${summary.forgotten.length} removal markers dropped`);
+      return summary;
+
+    } catch (error) {
+      console.error('Error reconciling queue with feed:', error);
+      throw new Error(`Failed to reconcile queue with feed: ${error.message}`);
+    }
+  }
+
+  isPinned(entry, now = new Date()) {
+    return Boolean(entry.pinnedAt) && new Date(entry.pinExpiresAt) > now;
+  }
+
+  // Index order for batches: live pins first (earliest pin first), then higher
+  // priority, then FIFO by pubDate.
+  compareForBatch(a, b, now = new Date()) {
+    const pinnedA = this.isPinned(a, now);
+    const pinnedB = this.isPinned(b, now);
+    if (pinnedA !== pinnedB) return pinnedA ? -1 : 1;
+    if (pinnedA) return new Date(a.pinnedAt) - new Date(b.pinnedAt);
+
+    const rank = entry => PRIORITY_LEVELS.indexOf(entry.priority || 'normal');
+    return rank(b) - rank(a) || new Date(a.pubDate) - new Date(b.pubDate);
+  }
+
+  getBatchPolicies() {
+    if (!this.batchPolicies) {
+      this.batchPolicies = new BatchPolicies();
+    }
+    return this.batchPolicies;
+  }
+
+  // Accepts a policy name, a policy object or null for the configured one.
+  getBatchPolicy(policy = null) {
+    return policy && typeof policy === 'object' ? policy : this.getBatchPolicies().getPolicy(policy);
+  }
+
+  // Applies a batch policy to the index. Sendable jobs are taken in batch
+  // order, skipping any past the policy's age limit or its diversity cap.
+  // Returns { policy, ready, trigger, available, needed, guids, tooOld }, where
+  // `available` counts every job the policy could send, `guids` is the batch
+  // itself and `trigger` says why it is ready (null when it is not).
+  planBatch(index, counters, policy, now = new Date()) {
+    const cutoff = policy.maxAgeDays ? now.getTime() - policy.maxAgeDays * DAY_MS : null;
+    const perKey = new Map();
+    const selectable = [];
+    const tooOld = [];
+
+    const entries = this.getIndexEntries(index, ['pending'])
+      .filter(entry => !entry.missingRuns)
+      .sort((a, b) => this.compareForBatch(a, b, now));
+
+    for (const entry of entries) {
+      const pinned = this.isPinned(entry, now);
+      if (cutoff && !pinned && new Date(entry.pubDate).getTime() < cutoff) {
+        tooOld.push(entry.guid);
+        continue;
+      }
+
+      // Jobs without a known category or location are never capped.
+      const key = policy.diversity ? (policy.diversity.by === 'category' ? entry.categoryId : entry.location) : null;
+      if (key && !pinned && (perKey.get(key) || 0) >= policy.diversity.max) continue;
+      if (key) perKey.set(key, (perKey.get(key) || 0) + 1);
+
+      selectable.push(entry);
+    }
+
+    const trigger = this.getBatchTrigger(index, counters, policy, selectable, now);
+    return {
+      policy: policy.id,
+      ready: Boolean(trigger),
+      trigger,
+      available: selectable.length,
+      needed: Math.max(0, policy.minSize - selectable.length),
+      guids: selectable.slice(0, policy.maxSize).map(entry => entry.guid),
+      tooOld
+    };
+  }
+
+  // Why a batch of `selectable` entries should go out now: the policy's
+  // minimum is reached, or a flush rule fires on a smaller batch because the
+  // oldest job or the last email is too old. Returns { reason, detail } or null.
+  getBatchTrigger(index, counters, policy, selectable, now) {
+    if (selectable.length >= policy.minSize) {
+      return { reason: 'threshold', detail: `${selectable.length} sendable jobs (minimum ${policy.minSize})` };
+    }
+
+    const flush = policy.flush;
+    if (!flush || selectable.length === 0 || selectable.length < flush.minSize) return null;
+
+    if (flush.oldestPendingDays) {
+      const oldest = Math.min(...selectable.map(entry => new Date(entry.pubDate).getTime()));
+      const ageDays = (now.getTime() - oldest) / DAY_MS;
+      if (ageDays >= flush.oldestPendingDays) {
+        return { reason: 'oldest-pending', detail: `Oldest sendable job is ${Math.floor(ageDays)} days old (flush after ${flush.oldestPendingDays})` };
+      }
+    }
+
+    if (flush.daysSinceLastEmail) {
+      // Counters from before lastEmailSentAt existed fall back to the newest sent job.
+      const lastEmailAt = counters.lastEmailSentAt || this.getIndexEntries(index, ['sent'])
+        .map(entry => entry.finishedAt)
+        .filter(Boolean)
+        .sort()
+        .pop();
+      const daysSince = lastEmailAt ? (now.getTime() - new Date(lastEmailAt).getTime()) / DAY_MS : null;
+      if (daysSince !== null && daysSince >= flush.daysSinceLastEmail) {
+        return { reason: 'since-last-email', detail: `Last email was ${Math.floor(daysSince)} days ago (flush after ${flush.daysSinceLastEmail})` };
+      }
+    }
+
+    return null;
+  }
+
+  async getBatchPlan(policy = null) {
+    const index = await this.readIndex();
+    const counters = await this.readCounters();
+    return this.planBatch(index, counters, this.getBatchPolicy(policy));
+  }
+
+  async getNextBatch(policy = null) {
     try {
-      const queueData = await this.getJobQueue();
-      const pendingJobs = queueData.jobQueue
-        .filter(job => job.status === 'pending')
-        .sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate));
-
-      const batchJobs = pendingJobs.slice(0, count);
-      console.log(`Retrieved ${batchJobs.length} jobs for next batch (FIFO by pubDate)`);
-      
+      const batchPolicy = this.getBatchPolicy(policy);
+      const plan = await this.getBatchPlan(batchPolicy);
+
+      // Records load in the order of `plan.guids`.
+      const batchJobs = (await this.loadJobs(plan.guids))
+        .filter(job => job.status === 'pending' && !job.missingRuns);
+      console.log(`Retrieved ${batchJobs.length} jobs for next batch (policy ${batchPolicy.id}: pinned first, then by priority and pubDate)`);
+
       return batchJobs;
-      
+
     } catch (error) {
       console.error('Error getting next batch:', error);
       return [];
     }
   }
 
-  async markAsSent(guids) {
+  // Moves pending jobs past the policy's age limit to `skipped` when the
+  // policy drops them. Resolves to the skipped guids.
+  async dropTooOldJobs(policy = null) {
+    const batchPolicy = this.getBatchPolicy(policy);
+    if (batchPolicy.tooOld !== 'drop' || !batchPolicy.maxAgeDays) return [];
+
+    try {
+      const { tooOld } = await this.getBatchPlan(batchPolicy);
+      if (tooOld.length === 0) return [];
+
+      const now = new Date().toISOString();
+      const results = await this.updateJobs('dropping old jobs', tooOld, job => {
+        if (job.status !== 'pending') return { changed: false, result: false };
+        transitionJob(job, 'skipped', now);
+        job.skippedAt = now;
+        job.skippedReason = `Older than ${batchPolicy.maxAgeDays} days (batch policy ${batchPolicy.id})`;
+        return { changed: true, result: true };
+      });
+
+      const skipped = tooOld.filter(guid => results.get(guid));
+      console.log(`⏭️ Skipped ${skipped.length} jobs older than ${batchPolicy.maxAgeDays} days (batch policy ${batchPolicy.id})`);
+      return skipped;
+
+    } catch (error) {
+      console.error('Error dropping old jobs:', error);
+      throw new Error(`Failed to drop old jobs: ${error.message}`);
+    }
+  }
+
+  // Operator override of batch order. `priority` is one of PRIORITY_LEVELS;
+  // `pin: true` puts the job in the next email until `pinExpiresAt` (default
+  // JOB_PIN_DAYS from now), `pin: false` removes the pin. Returns null when the
+  // job does not exist, or { error } when the change is not allowed.
+  async setJobPriority(guid, { priority = null, pin = null, pinExpiresAt = null, note = null, setBy = 'operator' } = {}) {
+    try {
+      if (priority !== null && !PRIORITY_LEVELS.includes(priority)) {
+        return { error: `Unknown priority "${priority}" (expected ${PRIORITY_LEVELS.join(', ')})` };
+      }
+      if (priority === null && pin === null) {
+        return { error: 'Nothing to change: set "priority" and/or "pin"' };
+      }
+
+      const now = new Date();
+      const expiresAt = pinExpiresAt ? new Date(pinExpiresAt) : new Date(now.getTime() + this.pinDays * DAY_MS);
+      if (pin && (isNaN(expiresAt) || expiresAt <= now)) {
+        return { error: `Pin expiry must be a future date (got ${pinExpiresAt})` };
+      }
+
+      await this.ensureLayout();
+      const outcome = await this.updateJob(guid, 'setting job priority', job => {
+        if (job.status !== 'pending') {
+          return { changed: false, result: { error: `Only pending jobs can be prioritized or pinned (status ${job.status})` } };
+        }
+
+        if (priority !== null) {
+          job.priority = { level: priority, setBy, setAt: now.toISOString(), note };
+        }
+        if (pin === true) {
+          job.pin = { pinnedBy: setBy, pinnedAt: now.toISOString(), expiresAt: expiresAt.toISOString(), note };
+        } else if (pin === false) {
+          delete job.pin;
+        }
+        return { changed: true, result: {} };
+      });
+
+      if (!outcome.record) return null;
+      if (outcome.result.error) return { error: outcome.result.error };
+
+      await this.commitRecords('setting job priority', [outcome.record]);
+      console.log(`Priority for ${guid}: ${outcome.record.priority?.level || 'normal'}${outcome.record.pin ? `, pinned until ${outcome.record.pin.expiresAt}` : ''} (by ${setBy})`);
+      return { job: this.summarizeJob(outcome.record), priority: outcome.record.priority || null, pin: outcome.record.pin || null };
+
+    } catch (error) {
+      console.error('Error setting job priority:', error);
+      throw new Error(`Failed to set job priority: ${error.message}`);
+    }
+  }
+
+  // Pending jobs with a priority or a pin, in batch order. Expired pins are
+  // listed with `pinActive: false`.
+  async getPrioritizedJobs() {
+    const now = new Date();
+    const index = await this.readIndex();
+    const entries = this.getIndexEntries(index, ['pending'])
+      .filter(entry => entry.priority || entry.pinnedAt)
+      .sort((a, b) => this.compareForBatch(a, b, now));
+    const jobs = await this.loadJobs(entries.map(entry => entry.guid));
+
+    return jobs.map(job => ({
+      ...this.summarizeJob(job),
+      priority: job.priority || null,
+      pin: job.pin || null,
+      pinActive: Boolean(job.pin) && new Date(job.pin.expiresAt) > now
+    }));
+  }
+
+  // Moves pending jobs to `reserved` under one reservation, so no other run
+  // can pick them while their email is being sent. Jobs that are no longer
+  // pending are left out of the returned `guids`.
+  async reserveJobs(guids, { leaseMinutes = this.leaseMinutes } = {}) {
+    const reservedAt = new Date();
+    const reservation = {
+      id: uuidv4(),
+      campaignId: null,
+      reservedAt: reservedAt.toISOString(),
+      leaseExpiresAt: new Date(reservedAt.getTime() + leaseMinutes * 60 * 1000).toISOString()
+    };
+
+    try {
+      const results = await this.updateJobs('reserving jobs', guids, job => {
+        if (job.status !== 'pending') return { changed: false, result: false };
+        transitionJob(job, 'reserved', reservation.reservedAt);
+        job.reservation = { ...reservation };
+        return { changed: true, result: true };
+      });
+
+      const reserved = guids.filter(guid => results.get(guid));
+      console.log(`🔒 Reserved ${reserved.length}/${guids.length} jobs (reservation ${reservation.id}, lease until ${reservation.leaseExpiresAt})`);
+      return { ...reservation, guids: reserved };
+
+    } catch (error) {
+      console.error('Error reserving jobs:', error);
+      throw new Error(`Failed to reserve jobs: ${error.message}`);
+    }
+  }
+
+  // Recorded before the campaign is sent, so recovery can ask Mailchimp
+  // whether it went out.
+  async attachCampaign(reservationId, guids, campaignId) {
+    await this.updateJobs('recording the campaign', guids, job => {
+      if (job.status !== 'reserved' || job.reservation?.id !== reservationId) return { changed: false, result: false };
+      job.reservation.campaignId = campaignId;
+      return { changed: true, result: true };
+    });
+  }
+
+  async markAsSent(guids, { reservationId = null, campaignId = null } = {}) {
     if (!Array.isArray(guids) || guids.length === 0) {
       console.log('No GUIDs provided to mark as sent');
       return false;
     }
 
     try {
-      const queueData = await this.getJobQueue();
-      const guidSet = new Set(guids);
-      let markedCount = 0;
-
-      queueData.jobQueue.forEach(job => {
-        if (guidSet.has(job.guid) && job.status === 'pending') {
-          job.status = 'sent';
-          job.sentAt = new Date().toISOString();
-          markedCount++;
-        }
+      const sentAt = new Date().toISOString();
+      const results = await this.updateJobs('marking jobs as sent', guids, job => {
+        if (job.status !== 'reserved') return { changed: false, result: false };
+        if (reservationId && job.reservation?.id !== reservationId) return { changed: false, result: false };
+
+        transitionJob(job, 'sent', sentAt);
+        job.sentAt = sentAt;
+        job.campaignId = campaignId || job.reservation?.campaignId || null;
+        delete job.reservation;
+        delete job.badge;
+        // A pin is used up by the email it got the job into.
+        delete job.pin;
+        return { changed: true, result: true };
       });
 
+      const markedCount = Array.from(results.values()).filter(Boolean).length;
       if (markedCount > 0) {
-        queueData.emailsSent += 1;
-        queueData.lastProcessed = new Date().toISOString();
-        await this.saveQueueData(queueData);
-        console.log(`Marked ${markedCount} jobs as sent. Total emails sent: ${queueData.emailsSent}`);
+        const counters = await this.bumpCounters('marking jobs as sent', { emailsSent: 1 });
+        console.log(`Marked ${markedCount} jobs as sent. Total emails sent: ${counters.emailsSent}`);
       }
 
       return markedCount > 0;
-      
+
     } catch (error) {
       console.error('Error marking jobs as sent:', error);
       throw new Error(`Failed to mark jobs as sent: ${error.message}`);
     }
   }
 
-  async saveQueueData(queueData) {
-    const store = await this.getStore();
-    if (store) {
-      console.log('💾 Saving queue data to Netlify Blobs...');
-      await store.setJSON(this.storageKey, queueData);
-      console.log('✅ Queue data saved to Blobs');
-    } else {
-      console.log('💾 Saving queue data to fallback storage...');
-      this.fallbackStorage[this.storageKey] = queueData;
+  // Returns reserved jobs to `pending`. A release that counts as an attempt
+  // fails the job once it reaches JOB_MAX_SEND_ATTEMPTS. Resolves to
+  // { released, failed } guid lists.
+  async releaseReservation(reservationId, guids, { reason, countAttempt = true } = {}) {
+    const now = new Date().toISOString();
+    const results = await this.updateJobs('releasing a reservation', guids, job => {
+      if (job.status !== 'reserved' || job.reservation?.id !== reservationId) return { changed: false, result: null };
+
+      delete job.reservation;
+      job.lastSendError = reason || null;
+      if (countAttempt) job.sendAttempts = (job.sendAttempts || 0) + 1;
+
+      if (countAttempt && job.sendAttempts >= this.maxSendAttempts) {
+        transitionJob(job, 'failed', now);
+        job.failedAt = now;
+        job.failedReason = `Not sent after ${job.sendAttempts} attempts: ${reason}`;
+        return { changed: true, result: 'failed' };
+      }
+
+      transitionJob(job, 'pending', now);
+      return { changed: true, result: 'released' };
+    });
+
+    const summary = { released: [], failed: [] };
+    for (const [guid, result] of results) {
+      if (result) summary[result].push(guid);
+    }
+
+    console.log(`🔓 Released reservation ${reservationId}: ${summary.released.length} back to pending, ${summary.failed.length} failed (${reason})`);
+    return summary;
+  }
+
+  // Reservations whose lease ran out, as [{ id, campaignId, guids }].
+  async getExpiredReservations(now = new Date()) {
+    const index = await this.readIndex();
+    const reservations = new Map();
+
+    for (const entry of this.getIndexEntries(index, ['reserved'])) {
+      if (entry.leaseExpiresAt && new Date(entry.leaseExpiresAt) > now) continue;
+
+      const id = entry.reservationId || 'unknown';
+      if (!reservations.has(id)) reservations.set(id, { id, campaignId: entry.campaignId || null, guids: [] });
+      reservations.get(id).guids.push(entry.guid);
+    }
+
+    return Array.from(reservations.values());
+  }
+
+  // Settles reservations left behind by a run that died mid-send.
+  // `getCampaignStatus(campaignId)` resolves to 'sent', 'unsent' or null when
+  // Mailchimp cannot say; those jobs stay reserved rather than risk a second
+  // send, and are retried on the next run.
+  async recoverReservations(getCampaignStatus) {
+    const summary = { sent: [], released: [], failed: [], unresolved: [] };
+
+    try {
+      for (const reservation of await this.getExpiredReservations()) {
+        const status = reservation.campaignId ? await getCampaignStatus(reservation.campaignId) : 'unsent';
+
+        if (status === 'sent') {
+          await this.markAsSent(reservation.guids, { reservationId: reservation.id, campaignId: reservation.campaignId });
+          summary.sent.push(...reservation.guids);
+
+        } else if (status === 'unsent') {
+          const reason = reservation.campaignId
+            ? `Campaign ${reservation.campaignId} was never sent`
+            : 'Reservation expired before a campaign was created';
+          const released = await this.releaseReservation(reservation.id, reservation.guids, { reason });
+          summary.released.push(...released.released);
+          summary.failed.push(...released.failed);
+
+        } else {
+          console.warn(`⚠️ Could not confirm campaign ${reservation.campaignId} with Mailchimp; ${reservation.guids.length} jobs stay reserved`);
+          summary.unresolved.push(...reservation.guids);
+        }
+      }
+
+      console.log(`Reservation recovery: ${summary.sent.length} confirmed sent, ${summary.released.length} released, ${summary.failed.length} failed, ${summary.unresolved.length} unresolved`);
+      return summary;
+
+    } catch (error) {
+      console.error('Error recovering reservations:', error);
+      throw new Error(`Failed to recover reservations: ${error.message}`);
+    }
+  }
+
+  // Loads every record, in the shape of the old single document. Meant for
+  // exports and maintenance; the send path works from the index.
+  async getJobQueue() {
+    try {
+      const index = await this.readIndex();
+      const counters = await this.readCounters();
+      const jobQueue = await this.loadJobs(Object.keys(index.jobs));
+      return { jobQueue, ...counters };
+
+    } catch (error) {
+      console.error('Error retrieving job queue:', error);
+      return { jobQueue: [], ...this.normalizeCounters(null) };
+    }
+  }
+
+  // Recreates the index from the job records, e.g. after a run died between
+  // writing a record and indexing it.
+  async rebuildIndex() {
+    await this.ensureLayout();
+    const jobs = await this.loadJobs(await this.listJobGuids());
+
+    const index = await this.updateDocument(INDEX_KEY, 'rebuilding the index', () => {
+      const rebuilt = { jobs: Object.fromEntries(jobs.map(job => [job.guid, this.summarizeForIndex(job)])) };
+      return { changed: true, result: rebuilt, value: rebuilt };
+    });
+
+    console.log(`✅ Rebuilt the job queue index from ${jobs.length} records`);
+    return index;
+  }
+
+  // Overwrites records with the given state (a null record removes the job),
+  // sets the counters when given and rebuilds the index. Every change is
+  // logged as a `restored` event. Resolves to { written, removed, unchanged }.
+  async restoreState({ records, counters = null }, operation = 'restoring queue state') {
+    await this.ensureLayout();
+    const summary = { written: 0, removed: 0, unchanged: 0 };
+    const restored = [];
+
+    for (const [guid, record] of records) {
+      const key = this.jobKey(guid);
+      const { data: current } = await this.readDocument(key);
+
+      if (JSON.stringify(current) === JSON.stringify(record)) {
+        summary.unchanged++;
+        continue;
+      }
+
+      if (record) {
+        await this.getStorage().set(key, record);
+        restored.push(guid, ...(record.aliasGuids || []));
+        summary.written++;
+      } else {
+        await this.deleteDocument(key);
+        summary.removed++;
+      }
+      await this.recordJobEvent(operation, current, record, 'restored');
+    }
+
+    if (counters) {
+      await this.writeCounters(operation, () => this.normalizeCounters(counters));
+    }
+
+    await this.unmarkRemoved(restored);
+    await this.rebuildIndex();
+    console.log(`♻️ Restored queue state: ${summary.written} written, ${summary.removed} removed, ${summary.unchanged} unchanged`);
+    return summary;
+  }
+
+  async listJobGuids() {
+    const keys = await this.listKeys(JOB_PREFIX);
+    return keys.map(key => decodeURIComponent(key.slice(JOB_PREFIX.length)));
+  }
+
+  normalizeRemoved(data) {
+    return { jobs: data && data.jobs ? data.jobs : {} };
+  }
+
+  async listRemovedGuids() {
+    const { data } = await this.readDocument(REMOVED_KEY);
+    return Object.keys(this.normalizeRemoved(data).jobs);
+  }
+
+  // Marks the guid and aliases of each removed finished job (a record or an
+  // index entry carrying its guid); jobs that never finished may be queued
+  // again. Written before the records are removed, so a run that dies in
+  // between leaves a marker next to a record, never neither.
+  async markRemoved(jobs, reason) {
+    const finished = jobs.filter(job => MARKED_STATUSES.includes(job.status));
+    if (finished.length === 0) return;
+
+    const removedAt = new Date().toISOString();
+    await this.updateDocument(REMOVED_KEY, 'marking removed jobs', data => {
+      const removed = this.normalizeRemoved(data);
+      for (const job of finished) {
+        for (const guid of [job.guid, ...(job.aliasGuids || [])]) {
+          removed.jobs[guid] = {
+            aliasOf: guid === job.guid ? undefined : job.guid,
+            status: job.status,
+            sourceId: job.sourceId || null,
+            removedAt,
+            reason
+          };
+        }
+      }
+      return { changed: true, result: null, value: removed };
+    });
+  }
+
+  async unmarkRemoved(guids) {
+    await this.updateDocument(REMOVED_KEY, 'clearing removal markers', data => {
+      const removed = this.normalizeRemoved(data);
+      const marked = guids.filter(guid => removed.jobs[guid]);
+      for (const guid of marked) delete removed.jobs[guid];
+      return { changed: marked.length > 0, result: null, value: removed };
+    });
+  }
+
+  // Drops the markers of guids no longer in their feed, now that the feed was
+  // loaded without them (`isLoaded(sourceId)` says which feeds were), and
+  // those older than JOB_REMOVED_MARKER_DAYS, so markers of a feed that is
+  // never loaded again do not pile up. Resolves to the dropped guids.
+  async forgetRemovedJobs(feedGuids, isLoaded, now = new Date()) {
+    const cutoff = now.getTime() - this.removedMarkerDays * DAY_MS;
+
+    return await this.updateDocument(REMOVED_KEY, 'dropping removal markers', data => {
+      const removed = this.normalizeRemoved(data);
+      const forgotten = Object.entries(removed.jobs)
+        .filter(([guid, marker]) => new Date(marker.removedAt).getTime() < cutoff ||
+          (!feedGuids.has(guid) && isLoaded(marker.sourceId)))
+        .map(([guid]) => guid);
+
+      for (const guid of forgotten) delete removed.jobs[guid];
+      return { changed: forgotten.length > 0, result: forgotten, value: removed };
+    });
+  }
+
+  // Removes the given records (every record by default) and the index, and
+  // resets the counters. The counters are zeroed rather than deleted so their
+  // `rev` keeps growing.
+  async clearQueue(guids = null) {
+    await this.ensureLayout();
+    const removed = guids || await this.listJobGuids();
+    for (const guid of removed) {
+      await this.removeJob(guid, 'clearing the queue');
+    }
+    await this.deleteDocument(INDEX_KEY);
+    await this.writeCounters('clearing the queue', () => this.normalizeCounters(null));
+    console.log(`🧹 Removed ${removed.length} job records and the index, and reset the counters`);
+    return removed.length;
+  }
+
+  // The index entries a cleanup scope removes; see cleanupQueue. Reserved jobs
+  // are only removed by `all` and `status: reserved`, never by age.
+  selectForCleanup(index, { mode, days, status }, now = new Date()) {
+    const entries = this.getIndexEntries(index);
+    if (mode === 'all') return entries;
+    if (mode === 'sent') return entries.filter(entry => entry.status === 'sent');
+    if (mode === 'status') return entries.filter(entry => entry.status === status);
+
+    const cutoff = now.getTime() - days * DAY_MS;
+    return entries.filter(entry => entry.status !== 'reserved' &&
+      new Date(entry.finishedAt || entry.pubDate).getTime() <= cutoff);
+  }
+
+  // Removes the jobs a scope selects, after backing their records up (see
+  // queue-backups.js) and marking the finished ones removed, so a job that was
+  // sent, closed or skipped is not queued and sent again while its feed still
+  // lists it. Pending jobs are queued again, also after `all`. Restoring a
+  // backup clears the markers of the jobs it writes back.
+  //
+  //   { mode: 'all' }                       every job, the index and the counters
+  //   { mode: 'sent' }                      sent jobs
+  //   { mode: 'older-than', days: 90 }      jobs finished, or still open and
+  //                                         published, at least `days` ago
+  //   { mode: 'status', status: 'closed' }  jobs in one status
+  //
+  // With `dryRun` only reports the jobs it would remove. Resolves to
+  // { scope, dryRun, matched, jobs, backupId }, or { error } for an invalid scope.
+  async cleanupQueue({ mode, days = null, status = null, dryRun = false, reason = null } = {}) {
+    if (!CLEANUP_MODES.includes(mode)) {
+      return { error: `Unknown cleanup mode "${mode}" (expected ${CLEANUP_MODES.join(', ')})` };
+    }
+    if (mode === 'older-than' && !(days > 0)) {
+      return { error: 'Cleanup mode older-than needs a positive "days"' };
+    }
+    if (mode === 'status' && !JOB_STATES.includes(status)) {
+      return { error: `Cleanup mode status needs a "status" (one of ${JOB_STATES.join(', ')})` };
+    }
+
+    const scope = { mode, days: mode === 'older-than' ? days : undefined, status: mode === 'status' ? status : undefined };
+    const operation = `cleaning up the queue (${mode})`;
+
+    try {
+      const index = await this.readIndex();
+      const selected = this.selectForCleanup(index, scope);
+
+      // Records that never made it into the index are part of `all` too.
+      const guids = mode === 'all'
+        ? await this.listJobGuids()
+        : selected.map(entry => entry.guid);
+      const entries = new Map(selected.map(entry => [entry.guid, entry]));
+      const jobs = guids.map(guid => {
+        const entry = entries.get(guid);
+        return entry
+          ? { guid, status: entry.status, pubDate: entry.pubDate, finishedAt: entry.finishedAt }
+          : { guid, status: null, pubDate: null, finishedAt: null };
+      });
+      const result = { scope, dryRun, matched: jobs.length, jobs, backupId: null };
+
+      if (dryRun) {
+        console.log(`🔎 Cleanup dry run (${mode}): ${jobs.length} jobs would be removed`);
+        return result;
+      }
+      if (guids.length === 0 && mode !== 'all') return result;
+
+      const records = await this.loadJobs(guids);
+      const backup = await this.getBackups().create({
+        jobs: records,
+        counters: mode === 'all' ? await this.readCounters() : null,
+        scope,
+        reason,
+        runId: this.runId,
+        actor: this.actor
+      });
+      result.backupId = backup.id;
+      await this.markRemoved(records, operation);
+
+      if (mode === 'all') {
+        await this.clearQueue(guids);
+        return result;
+      }
+
+      for (const guid of guids) {
+        await this.removeJob(guid, operation);
+      }
+      await this.commitRecords(operation, [], guids);
+      console.log(`🧹 Removed ${guids.length} jobs (${mode}); backup ${backup.id}`);
+      return result;
+
+    } catch (error) {
+      console.error('Error cleaning up the queue:', error);
+      throw new Error(`Failed to clean up the queue: ${error.message}`);
     }
   }
 
-  getPendingCount(queueData = null) {
-    if (!queueData) return 0;
-    return queueData.jobQueue.filter(job => job.status === 'pending').length;
+  // Writes a backup's records back, replacing any record of the same guid,
+  // and its counters when it has them. Resolves to null when there is no
+  // such backup.
+  async restoreBackup(backupId) {
+    try {
+      const backup = await this.getBackups().get(backupId);
+      if (!backup) return null;
+
+      const records = new Map(backup.jobs.map(record => [record.guid, upgradeRecord(record)]));
+      const summary = await this.restoreState({ records, counters: backup.counters }, `restoring backup ${backupId}`);
+      return { backupId, createdAt: backup.createdAt, scope: backup.scope, jobCount: backup.jobCount, ...summary };
+
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      throw new Error(`Failed to restore backup ${backupId}: ${error.message}`);
+    }
+  }
+
+  async getPendingCount() {
+    const index = await this.readIndex();
+    return this.getIndexEntries(index, ['pending']).length;
+  }
+
+  // Pending jobs that were present in their feed on the last check.
+  async getSendableCount() {
+    const index = await this.readIndex();
+    return this.getIndexEntries(index, ['pending']).filter(entry => !entry.missingRuns).length;
+  }
+
+  countBy(jobs, keyOf) {
+    return jobs.reduce((counts, job) => {
+      const key = keyOf(job);
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
   }
 
-  async getQueueStats() {
+  async getQueueStats(policy = null) {
     try {
-      const queueData = await this.getJobQueue();
-      const pendingJobs = queueData.jobQueue.filter(job => job.status === 'pending');
-      const sentJobs = queueData.jobQueue.filter(job => job.status === 'sent');
-      
+      const batchPolicy = this.getBatchPolicy(policy);
+      const index = await this.readIndex();
+      const counters = await this.readCounters();
+      const plan = this.planBatch(index, counters, batchPolicy);
+      const entries = this.getIndexEntries(index);
+      const statusCounts = this.countBy(entries, entry => entry.status);
+      const pendingJobs = entries.filter(entry => entry.status === 'pending');
+      const { compacted } = await this.readStats();
+      const lifetimeByStatus = { ...statusCounts };
+      for (const [status, summary] of Object.entries(compacted)) {
+        lifetimeByStatus[status] = (lifetimeByStatus[status] || 0) + summary.count;
+      }
+
       const stats = {
-        totalJobs: queueData.jobQueue.length,
+        totalJobs: entries.length,
         pendingJobs: pendingJobs.length,
-        sentJobs: sentJobs.length,
-        neededForEmail: Math.max(0, 10 - pendingJobs.length),
-        emailsSent: queueData.emailsSent,
-        totalJobsProcessed: queueData.totalJobsProcessed,
-        lastProcessed: queueData.lastProcessed,
+        reservedJobs: statusCounts.reserved || 0,
+        sentJobs: statusCounts.sent || 0,
+        failedJobs: statusCounts.failed || 0,
+        skippedJobs: statusCounts.skipped || 0,
+        closedJobs: statusCounts.closed || 0,
+        duplicateJobs: statusCounts.duplicate || 0,
+        missingPendingJobs: pendingJobs.filter(entry => entry.missingRuns > 0).length,
+        pendingWithSalary: pendingJobs.filter(entry => entry.hasSalary).length,
+        pendingByCategory: this.countBy(pendingJobs, entry => entry.categoryId || 'uncategorized'),
+        batchPolicy: batchPolicy.id,
+        sendableJobs: plan.available,
+        tooOldPendingJobs: plan.tooOld.length,
+        neededForEmail: plan.needed,
+        readyToSend: plan.ready,
+        sendTrigger: plan.trigger,
+        emailsSent: counters.emailsSent,
+        totalJobsProcessed: counters.totalJobsProcessed,
+        lastProcessed: counters.lastProcessed,
+        lastEmailSentAt: counters.lastEmailSentAt,
+        lifetimeByStatus,
+        compactedJobs: compacted,
         oldestPendingJob: null,
         newestPendingJob: null
       };
@@ -214,17 +1689,33 @@ class JobQueueManager {
       }
 
       return stats;
-      
+
     } catch (error) {
       console.error('Error getting queue stats:', error);
       return {
         totalJobs: 0,
         pendingJobs: 0,
+        reservedJobs: 0,
         sentJobs: 0,
-        neededForEmail: 10,
+        failedJobs: 0,
+        skippedJobs: 0,
+        closedJobs: 0,
+        duplicateJobs: 0,
+        missingPendingJobs: 0,
+        pendingWithSalary: 0,
+        pendingByCategory: {},
+        batchPolicy: null,
+        sendableJobs: 0,
+        tooOldPendingJobs: 0,
+        neededForEmail: null,
+        readyToSend: false,
+        sendTrigger: null,
         emailsSent: 0,
         totalJobsProcessed: 0,
         lastProcessed: null,
+        lastEmailSentAt: null,
+        lifetimeByStatus: {},
+        compactedJobs: {},
         oldestPendingJob: null,
         newestPendingJob: null,
         error: error.message
@@ -232,33 +1723,100 @@ class JobQueueManager {
     }
   }
 
-  async cleanupOldJobs(daysOld = 90) {
+  // Adds one finished index entry to a compacted summary.
+  addToCompacted(summary, entry) {
+    const compacted = summary || { count: 0, byCategory: {}, bySource: {}, byMonth: {}, firstFinishedAt: null, lastFinishedAt: null };
+    const category = entry.categoryId || 'uncategorized';
+    const source = entry.sourceId || 'default';
+    const month = entry.finishedAt.slice(0, 7);
+
+    compacted.count++;
+    compacted.byCategory[category] = (compacted.byCategory[category] || 0) + 1;
+    compacted.bySource[source] = (compacted.bySource[source] || 0) + 1;
+    compacted.byMonth[month] = (compacted.byMonth[month] || 0) + 1;
+    if (!compacted.firstFinishedAt || entry.finishedAt < compacted.firstFinishedAt) compacted.firstFinishedAt = entry.finishedAt;
+    if (!compacted.lastFinishedAt || entry.finishedAt > compacted.lastFinishedAt) compacted.lastFinishedAt = entry.finishedAt;
+    return compacted;
+  }
+
+  isExpired(job, status, cutoff) {
+    const finishedAt = this.getFinishedAt(job);
+    return job.status === status && Boolean(finishedAt) && new Date(finishedAt).getTime() <= cutoff;
+  }
+
+  // Removes jobs that finished longer ago than their status keeps them.
+  // `policies` is { <status>: { days, compact } } (see queue-maintenance.js).
+  // With `compact`, the jobs are added to the `stats` document before they
+  // are removed. Removed jobs are marked like a cleanup's (see markRemoved).
+  //
+  // Jobs are picked from the index, and each record is checked again before
+  // it is deleted, so a job a change rule requeued in the meantime is kept.
+  // Resolves to { <status>: { retentionDays, expired, compacted } } and the
+  // removed guids (with `dryRun`, the guids it would remove).
+  async applyRetention(policies, { dryRun = false, now = new Date() } = {}) {
+    const operation = 'applying retention';
+
     try {
-      const queueData = await this.getJobQueue();
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysOld);
-      
-      const originalCount = queueData.jobQueue.length;
-      queueData.jobQueue = queueData.jobQueue.filter(job => {
-        if (job.status === 'pending') return true;
-        if (!job.sentAt) return true;
-        const jobDate = new Date(job.sentAt);
-        return jobDate > cutoffDate;
-      });
+      const index = await this.readIndex();
+      const statuses = {};
+      let expired = [];
+
+      for (const [status, policy] of Object.entries(policies)) {
+        const cutoff = now.getTime() - policy.days * DAY_MS;
+        const entries = this.getIndexEntries(index, [status])
+          .filter(entry => entry.finishedAt && new Date(entry.finishedAt).getTime() <= cutoff);
+
+        statuses[status] = { retentionDays: policy.days, expired: entries.length, compacted: policy.compact ? entries.length : 0 };
+        expired.push(...entries.map(entry => ({ entry, compact: policy.compact, cutoff })));
+      }
+
+      if (dryRun || expired.length === 0) return { statuses, removed: expired.map(({ entry }) => entry.guid) };
 
-      const removedCount = originalCount - queueData.jobQueue.length;
-      if (removedCount > 0) {
-        await this.saveQueueData(queueData);
-        console.log(`Cleaned up ${removedCount} old sent jobs (older than ${daysOld} days)`);
+      const records = new Map((await this.loadJobs(expired.map(({ entry }) => entry.guid))).map(record => [record.guid, record]));
+      expired = expired.filter(({ entry, cutoff }) => records.has(entry.guid) && this.isExpired(records.get(entry.guid), entry.status, cutoff));
+      for (const [status, summary] of Object.entries(statuses)) {
+        const confirmed = expired.filter(({ entry }) => entry.status === status);
+        summary.expired = confirmed.length;
+        summary.compacted = confirmed.filter(({ compact }) => compact).length;
       }
+      if (expired.length === 0) return { statuses, removed: [] };
+
+      const toCompact = expired.filter(({ compact }) => compact).map(({ entry }) => entry);
+      if (toCompact.length > 0) {
+        await this.updateDocument(STATS_KEY, operation, data => {
+          const stats = this.normalizeStats(data);
+          // Jobs a run compacted but died before removing are only counted once.
+          const counted = new Set(stats.lastCompaction?.guids || []);
+          for (const entry of toCompact) {
+            if (counted.has(entry.guid)) continue;
+            stats.compacted[entry.status] = this.addToCompacted(stats.compacted[entry.status], entry);
+          }
+          stats.lastCompaction = { runId: this.runId, at: now.toISOString(), guids: toCompact.map(entry => entry.guid) };
+          return { changed: true, result: stats, value: stats };
+        });
+      }
+
+      await this.markRemoved(expired.map(({ entry }) => entry), operation);
+      const removed = [];
+      const kept = [];
+      for (const { entry, cutoff } of expired) {
+        if (await this.removeJob(entry.guid, operation, record => this.isExpired(record, entry.status, cutoff))) {
+          removed.push(entry.guid);
+        } else {
+          kept.push(entry.guid, ...(entry.aliasGuids || []));
+        }
+      }
+      if (kept.length > 0) await this.unmarkRemoved(kept);
+      await this.commitRecords(operation, [], removed);
+      console.log(`🧹 Retention removed ${removed.length} finished jobs (${toCompact.length} compacted into stats)`);
+
+      return { statuses, removed };
 
-      return queueData;
-      
     } catch (error) {
-      console.error('Error cleaning up old jobs:', error);
-      return await this.getJobQueue();
+      console.error('Error applying retention:', error);
+      throw new Error(`Failed to apply retention: ${error.message}`);
     }
   }
 }
 
-export default JobQueueManager;
\ No newline at end of file
+export default JobQueueManager;
@@ -0,0 +1,40 @@
+// Queue entry states:
+//
+//   pending    Waiting for an email
+//   reserved   Picked for an email that is being sent. `reservation` holds the
+//              reservation id, the Mailchimp campaign id once one exists and
+//              the lease expiry after which recovery settles it.
+//   sent       In a campaign Mailchimp sent
+//   failed     Released from too many reservations without being sent
+//   skipped    Deliberately left out of emails
+//   closed     Gone from its feed
+//   duplicate  A repost of another entry
+//
+// A sent or closed job only goes back to pending when a change rule requeues
+// it; a duplicate only when an operator releases it.
+
+export const JOB_STATES = ['pending', 'reserved', 'sent', 'failed', 'skipped', 'closed', 'duplicate'];
+
+const TRANSITIONS = {
+  pending: ['reserved', 'skipped', 'closed', 'duplicate'],
+  reserved: ['sent', 'pending', 'failed'],
+  sent: ['pending'],
+  failed: ['pending', 'closed'],
+  skipped: ['pending', 'closed'],
+  closed: ['pending'],
+  duplicate: ['pending', 'duplicate']
+};
+
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+}
+
+export function transitionJob(job, to, at = new Date().toISOString()) {
+  if (!canTransition(job.status, to)) {
+    throw new Error(`Invalid job state transition for ${job.guid}: ${job.status} -> ${to}`);
+  }
+
+  job.status = to;
+  job.statusChangedAt = at;
+  return job;
+}
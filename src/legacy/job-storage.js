@@ -1,53 +1,23 @@
-import { getStore } from '@netlify/blobs';
+import { createStorage } from '../storage-adapters.js';
 
 class JobStorage {
   constructor() {
     this.storageKey = 'accumulated-jobs';
-    this.store = null;
-    this.useBlobs = false;
-    this.fallbackStorage = {};
+    this.storage = null;
   }
 
-  async getStore() {
-    if (this.store) return this.store;
-    
-    try {
-      console.log('🔄 Initializing Netlify Blobs store...');
-      
-      // Manual configuration with siteID and token
-      this.store = getStore('job-storage', {
-        siteID: '448fec77-521b-4a59-84c2-d745b8b9d2c4',
-        token: process.env.NETLIFY_AUTH_TOKEN
-      });
-      this.useBlobs = true;
-      console.log('✅ Netlify Blobs store initialized with manual config');
-      return this.store;
-      
-    } catch (error) {
-      console.error('❌ Blobs initialization failed:', error.message);
-      console.log('📝 Falling back to in-memory storage');
-      this.useBlobs = false;
-      return null;
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage('job-storage');
     }
+    return this.storage;
   }
 
   async getStoredJobs() {
     try {
-      const store = await this.getStore();
-      
-      if (store) {
-        console.log('📥 Reading jobs from Netlify Blobs...');
-        const jobs = await store.get(this.storageKey, { type: 'json' });
-        if (jobs) {
-          console.log(`📦 Retrieved ${jobs.length} stored jobs from Blobs`);
-          return Array.isArray(jobs) ? jobs : [];
-        }
-      }
-      
-      console.log('📝 Using fallback storage');
-      const jobs = this.fallbackStorage[this.storageKey] || [];
-      console.log(`📦 Retrieved ${jobs.length} stored jobs from fallback`);
-      return jobs;
+      const jobs = await this.getStorage().get(this.storageKey);
+      console.log(`📦 Retrieved ${Array.isArray(jobs) ? jobs.length : 0} stored jobs`);
+      return Array.isArray(jobs) ? jobs : [];
       
     } catch (error) {
       console.error('Error retrieving stored jobs:', error);
@@ -80,15 +50,9 @@ class JobStorage {
 
       const updatedJobs = [...existingJobs, ...uniqueNewJobs];
       
-      const store = await this.getStore();
-      if (store) {
-        console.log('💾 Saving jobs to Netlify Blobs...');
-        await store.setJSON(this.storageKey, updatedJobs);
-        console.log('✅ Jobs saved to Blobs');
-      } else {
-        console.log('💾 Saving jobs to fallback storage...');
-        this.fallbackStorage[this.storageKey] = updatedJobs;
-      }
+      console.log('💾 Saving jobs...');
+      await this.getStorage().set(this.storageKey, updatedJobs);
+      console.log('✅ Jobs saved');
       
       console.log(`Added ${uniqueNewJobs.length} unique jobs. Total: ${updatedJobs.length}`);
       return updatedJobs;
@@ -101,15 +65,8 @@ class JobStorage {
 
   async clearJobs() {
     try {
-      const store = await this.getStore();
-      if (store) {
-        console.log('🗑️ Clearing jobs from Netlify Blobs...');
-        await store.delete(this.storageKey);
-        console.log('✅ Blobs storage cleared');
-      } else {
-        console.log('🗑️ Clearing fallback storage...');
-        delete this.fallbackStorage[this.storageKey];
-      }
+      console.log('🗑️ Clearing jobs...');
+      await this.getStorage().delete(this.storageKey);
       console.log('Job storage cleared successfully');
       return true;
       
@@ -143,11 +100,7 @@ class JobStorage {
       });
 
       if (recentJobs.length !== jobs.length) {
-        if (this.useBlobs) {
-          await this.store.set(this.storageKey, JSON.stringify(recentJobs));
-        } else {
-          this.fallbackStorage[this.storageKey] = recentJobs;
-        }
+        await this.getStorage().set(this.storageKey, recentJobs);
         console.log(`Removed ${jobs.length - recentJobs.length} old jobs`);
       }
 
@@ -0,0 +1,169 @@
+// Offline gazetteer for the areas we recruit in: all US states, the metros in
+// our NY/NJ/CT/PA/FL service area, and the Mexican states (ISO 3166-2:MX codes).
+// Keep names in their usual written form; lookups are accent- and case-insensitive.
+
+export const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+export const MEXICAN_STATES = {
+  AGU: 'Aguascalientes', BCN: 'Baja California', BCS: 'Baja California Sur',
+  CAM: 'Campeche', CHP: 'Chiapas', CHH: 'Chihuahua', CMX: 'Ciudad de México',
+  COA: 'Coahuila', COL: 'Colima', DUR: 'Durango', GUA: 'Guanajuato', GRO: 'Guerrero',
+  HID: 'Hidalgo', JAL: 'Jalisco', MEX: 'Estado de México', MIC: 'Michoacán',
+  MOR: 'Morelos', NAY: 'Nayarit', NLE: 'Nuevo León', OAX: 'Oaxaca', PUE: 'Puebla',
+  QUE: 'Querétaro', ROO: 'Quintana Roo', SLP: 'San Luis Potosí', SIN: 'Sinaloa',
+  SON: 'Sonora', TAB: 'Tabasco', TAM: 'Tamaulipas', TLA: 'Tlaxcala', VER: 'Veracruz',
+  YUC: 'Yucatán', ZAC: 'Zacatecas'
+};
+
+export const MEXICAN_STATE_ALIASES = {
+  CDMX: 'CMX',
+  'Mexico City': 'CMX',
+  'Ciudad de Mexico': 'CMX',
+  'Distrito Federal': 'CMX',
+  'Edo. de México': 'MEX',
+  'Edomex': 'MEX',
+  'Nuevo Leon': 'NLE',
+  'Queretaro': 'QUE',
+  'Michoacan': 'MIC',
+  'Yucatan': 'YUC',
+  'San Luis Potosi': 'SLP'
+};
+
+// city -> [state code, country, metro]
+export const METRO_CITIES = {
+  // New York
+  'New York': ['NY', 'US', 'New York City'],
+  'New York City': ['NY', 'US', 'New York City'],
+  'NYC': ['NY', 'US', 'New York City'],
+  'Manhattan': ['NY', 'US', 'New York City'],
+  'Brooklyn': ['NY', 'US', 'New York City'],
+  'Queens': ['NY', 'US', 'New York City'],
+  'Bronx': ['NY', 'US', 'New York City'],
+  'The Bronx': ['NY', 'US', 'New York City'],
+  'Staten Island': ['NY', 'US', 'New York City'],
+  'Long Island City': ['NY', 'US', 'New York City'],
+  'Long Island': ['NY', 'US', 'Long Island'],
+  'Hempstead': ['NY', 'US', 'Long Island'],
+  'Garden City': ['NY', 'US', 'Long Island'],
+  'Great Neck': ['NY', 'US', 'Long Island'],
+  'Melville': ['NY', 'US', 'Long Island'],
+  'Hauppauge': ['NY', 'US', 'Long Island'],
+  'Yonkers': ['NY', 'US', 'Westchester'],
+  'White Plains': ['NY', 'US', 'Westchester'],
+  'New Rochelle': ['NY', 'US', 'Westchester'],
+  'Mount Vernon': ['NY', 'US', 'Westchester'],
+  'Monsey': ['NY', 'US', 'Rockland'],
+  'Spring Valley': ['NY', 'US', 'Rockland'],
+  'Suffern': ['NY', 'US', 'Rockland'],
+  'Nanuet': ['NY', 'US', 'Rockland'],
+  'Albany': ['NY', 'US', 'Capital Region'],
+  'Buffalo': ['NY', 'US', 'Buffalo'],
+  'Rochester': ['NY', 'US', 'Rochester'],
+  'Syracuse': ['NY', 'US', 'Syracuse'],
+  // New Jersey
+  'Newark': ['NJ', 'US', 'North Jersey'],
+  'Jersey City': ['NJ', 'US', 'North Jersey'],
+  'Hoboken': ['NJ', 'US', 'North Jersey'],
+  'Paterson': ['NJ', 'US', 'North Jersey'],
+  'Passaic': ['NJ', 'US', 'North Jersey'],
+  'Clifton': ['NJ', 'US', 'North Jersey'],
+  'Elizabeth': ['NJ', 'US', 'North Jersey'],
+  'Hackensack': ['NJ', 'US', 'North Jersey'],
+  'Teaneck': ['NJ', 'US', 'North Jersey'],
+  'Paramus': ['NJ', 'US', 'North Jersey'],
+  'Morristown': ['NJ', 'US', 'North Jersey'],
+  'Parsippany': ['NJ', 'US', 'North Jersey'],
+  'Secaucus': ['NJ', 'US', 'North Jersey'],
+  'Edison': ['NJ', 'US', 'Central Jersey'],
+  'New Brunswick': ['NJ', 'US', 'Central Jersey'],
+  'Princeton': ['NJ', 'US', 'Central Jersey'],
+  'Trenton': ['NJ', 'US', 'Central Jersey'],
+  'Lakewood': ['NJ', 'US', 'Jersey Shore'],
+  'Toms River': ['NJ', 'US', 'Jersey Shore'],
+  'Red Bank': ['NJ', 'US', 'Jersey Shore'],
+  'Cherry Hill': ['NJ', 'US', 'Philadelphia'],
+  'Camden': ['NJ', 'US', 'Philadelphia'],
+  // Connecticut
+  'Stamford': ['CT', 'US', 'Fairfield County'],
+  'Greenwich': ['CT', 'US', 'Fairfield County'],
+  'Norwalk': ['CT', 'US', 'Fairfield County'],
+  'Bridgeport': ['CT', 'US', 'Fairfield County'],
+  'Danbury': ['CT', 'US', 'Fairfield County'],
+  'Hartford': ['CT', 'US', 'Hartford'],
+  'New Haven': ['CT', 'US', 'New Haven'],
+  'Waterbury': ['CT', 'US', 'New Haven'],
+  // Pennsylvania
+  'Philadelphia': ['PA', 'US', 'Philadelphia'],
+  'King of Prussia': ['PA', 'US', 'Philadelphia'],
+  'Conshohocken': ['PA', 'US', 'Philadelphia'],
+  'Pittsburgh': ['PA', 'US', 'Pittsburgh'],
+  'Allentown': ['PA', 'US', 'Lehigh Valley'],
+  'Bethlehem': ['PA', 'US', 'Lehigh Valley'],
+  'Harrisburg': ['PA', 'US', 'Harrisburg'],
+  'Lancaster': ['PA', 'US', 'Lancaster'],
+  'Scranton': ['PA', 'US', 'Scranton'],
+  'Reading': ['PA', 'US', 'Reading'],
+  'Erie': ['PA', 'US', 'Erie'],
+  // Florida
+  'Miami': ['FL', 'US', 'South Florida'],
+  'Miami Beach': ['FL', 'US', 'South Florida'],
+  'Aventura': ['FL', 'US', 'South Florida'],
+  'Coral Gables': ['FL', 'US', 'South Florida'],
+  'Doral': ['FL', 'US', 'South Florida'],
+  'Hialeah': ['FL', 'US', 'South Florida'],
+  'Fort Lauderdale': ['FL', 'US', 'South Florida'],
+  'Ft. Lauderdale': ['FL', 'US', 'South Florida'],
+  'Hollywood': ['FL', 'US', 'South Florida'],
+  'Sunrise': ['FL', 'US', 'South Florida'],
+  'Pompano Beach': ['FL', 'US', 'South Florida'],
+  'Boca Raton': ['FL', 'US', 'South Florida'],
+  'Delray Beach': ['FL', 'US', 'South Florida'],
+  'Boynton Beach': ['FL', 'US', 'South Florida'],
+  'West Palm Beach': ['FL', 'US', 'South Florida'],
+  'Orlando': ['FL', 'US', 'Orlando'],
+  'Tampa': ['FL', 'US', 'Tampa Bay'],
+  'St. Petersburg': ['FL', 'US', 'Tampa Bay'],
+  'Jacksonville': ['FL', 'US', 'Jacksonville'],
+  'Tallahassee': ['FL', 'US', 'Tallahassee'],
+  // Mexico
+  'Guadalajara': ['JAL', 'MX', 'Guadalajara'],
+  'Zapopan': ['JAL', 'MX', 'Guadalajara'],
+  'Monterrey': ['NLE', 'MX', 'Monterrey'],
+  'San Pedro Garza García': ['NLE', 'MX', 'Monterrey'],
+  'Tijuana': ['BCN', 'MX', 'Tijuana'],
+  'Cancún': ['ROO', 'MX', 'Cancún'],
+  'Mérida': ['YUC', 'MX', 'Mérida'],
+  'León': ['GUA', 'MX', 'León'],
+  'Querétaro': ['QUE', 'MX', 'Querétaro'],
+  'Puebla': ['PUE', 'MX', 'Puebla'],
+  'Ciudad Juárez': ['CHH', 'MX', 'Ciudad Juárez']
+};
+
+export const COUNTRY_ALIASES = {
+  US: 'US',
+  USA: 'US',
+  'U.S.': 'US',
+  'U.S.A.': 'US',
+  'United States': 'US',
+  'United States of America': 'US',
+  MX: 'MX',
+  Mexico: 'MX',
+  'México': 'MX'
+};
+
+export const COUNTRY_NAMES = {
+  US: 'United States',
+  MX: 'Mexico'
+};
@@ -0,0 +1,233 @@
+import {
+  US_STATES,
+  MEXICAN_STATES,
+  MEXICAN_STATE_ALIASES,
+  METRO_CITIES,
+  COUNTRY_ALIASES,
+  COUNTRY_NAMES
+} from './location-gazetteer.js';
+
+const WORK_MODE_PATTERNS = [
+  ['hybrid', /\bhybrid\b/i],
+  // A bare "virtual" is usually a job title ("Virtual Assistant").
+  ['remote', /\b(?:remote|work from home|wfh|telecommute|virtual (?:role|position|work|job))\b/i],
+  ['onsite', /\b(?:on-?site|in[- ]office|in[- ]person)\b/i]
+];
+
+// Description text mentions "remote" in many unrelated ways ("no remote work"),
+// so only these explicit phrases count there.
+const DESCRIPTION_WORK_MODE_PATTERNS = [
+  ['hybrid', /\b(?:hybrid (?:role|position|schedule|work)|\d days? (?:in|from) (?:the )?office)\b/i],
+  ['remote', /\b(?:fully remote|100% remote|remote (?:role|position|opportunity)|work from home position)\b/i]
+];
+
+const WORK_MODE_TOKENS = /\(?\b(?:hybrid|remote|on-?site|in[- ]office|in[- ]person|work from home|wfh)\b\)?/gi;
+
+function foldKey(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function buildIndex(entries) {
+  const index = new Map();
+  for (const [key, value] of entries) {
+    index.set(foldKey(key), value);
+  }
+  return index;
+}
+
+const US_STATE_INDEX = buildIndex([
+  ...Object.keys(US_STATES).map(code => [code, code]),
+  ...Object.entries(US_STATES).map(([code, name]) => [name, code])
+]);
+
+const MX_STATE_INDEX = buildIndex([
+  ...Object.keys(MEXICAN_STATES).map(code => [code, code]),
+  ...Object.entries(MEXICAN_STATES).map(([code, name]) => [name, code]),
+  ...Object.entries(MEXICAN_STATE_ALIASES)
+]);
+
+const CITY_INDEX = buildIndex(
+  Object.entries(METRO_CITIES).map(([city, [state, country, metro]]) => [city, { city, state, country, metro }])
+);
+
+const COUNTRY_INDEX = buildIndex(Object.entries(COUNTRY_ALIASES));
+
+class LocationNormalizer {
+  // Returns { city, state, stateName, country, metro, workMode, display, raw }.
+  // `raw` is the feed's location field; title and description are only used
+  // for work mode and when the location field is empty or unrecognised.
+  normalize(rawLocation, { title = '', description = '', scanText = true, defaultDisplay = null } = {}) {
+    const raw = this.clean(rawLocation);
+    const workMode = this.detectWorkMode(raw, title, description);
+
+    let place = raw ? this.parseLocation(raw.replace(WORK_MODE_TOKENS, ' ')) : null;
+    if (scanText && (!place || (!place.state && !place.country))) {
+      place = this.findInText(title, description) || place;
+    }
+
+    const location = {
+      city: place?.city || null,
+      state: place?.state || null,
+      stateName: place?.state ? this.getStateName(place.state, place.country) : null,
+      country: place?.country || null,
+      metro: place?.metro || null,
+      workMode,
+      display: null,
+      raw: raw || null
+    };
+
+    location.display = this.format(location, defaultDisplay);
+    return location;
+  }
+
+  clean(text) {
+    if (!text || typeof text !== 'string') return '';
+    return text
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  detectWorkMode(raw, title, description) {
+    const direct = `${raw || ''} ${title || ''}`;
+    for (const [mode, pattern] of WORK_MODE_PATTERNS) {
+      if (pattern.test(direct)) return mode;
+    }
+
+    const body = this.clean(description);
+    for (const [mode, pattern] of DESCRIPTION_WORK_MODE_PATTERNS) {
+      if (pattern.test(body)) return mode;
+    }
+
+    // Nothing says where the job is done.
+    return null;
+  }
+
+  parseLocation(text) {
+    const tokens = text
+      .split(/\s*(?:,|\||\/|;|\s-\s|\s–\s)\s*/)
+      .map(token => token.replace(/^[()\s]+|[()\s]+$/g, ''))
+      .filter(token => token.length > 0);
+
+    if (tokens.length === 0) return null;
+
+    const place = { city: null, state: null, country: null, metro: null };
+    const unmatched = [];
+
+    tokens.forEach((token, position) => {
+      const key = foldKey(token);
+      // "New York" alone is the city; after a city it is the state.
+      const preferState = position > 0 && (place.city || unmatched.length > 0);
+
+      if (COUNTRY_INDEX.has(key)) {
+        place.country = place.country || COUNTRY_INDEX.get(key);
+      } else if (!place.state && preferState && US_STATE_INDEX.has(key)) {
+        place.state = US_STATE_INDEX.get(key);
+        place.country = place.country || 'US';
+      } else if (!place.city && CITY_INDEX.has(key)) {
+        Object.assign(place, CITY_INDEX.get(key), { country: place.country || CITY_INDEX.get(key).country });
+      } else if (!place.state && US_STATE_INDEX.has(key) && (key.length > 2 || token === token.toUpperCase())) {
+        place.state = US_STATE_INDEX.get(key);
+        place.country = place.country || 'US';
+      } else if (!place.state && MX_STATE_INDEX.has(key)) {
+        place.state = MX_STATE_INDEX.get(key);
+        place.country = 'MX';
+      } else if (/^\d{5}(?:-\d{4})?$/.test(token)) {
+        // US zip code; adds nothing we display.
+      } else {
+        const stateZip = token.match(/^([A-Za-z]{2})\s+\d{5}(?:-\d{4})?$/);
+        if (!place.state && stateZip && US_STATE_INDEX.has(foldKey(stateZip[1]))) {
+          place.state = US_STATE_INDEX.get(foldKey(stateZip[1]));
+          place.country = place.country || 'US';
+        } else {
+          unmatched.push(token);
+        }
+      }
+    });
+
+    if (!place.city && unmatched.length > 0 && (place.state || place.country)) {
+      const candidate = unmatched[0];
+      if (/^[\p{L}][\p{L}\s.'-]{1,40}$/u.test(candidate)) {
+        place.city = candidate;
+      }
+    }
+
+    if (place.state && !place.country) {
+      place.country = MX_STATE_INDEX.has(foldKey(place.state)) && !US_STATE_INDEX.has(foldKey(place.state)) ? 'MX' : 'US';
+    }
+
+    return place.city || place.state || place.country ? place : null;
+  }
+
+  findInText(title, description) {
+    const titleText = this.clean(title);
+    const text = `${titleText} ${this.clean(description)}`;
+
+    const cityState = /\b([A-Z][A-Za-z.'-]+(?:\s+[A-Z][A-Za-z.'-]+){0,3}),\s*([A-Z]{2})\b/g;
+    let match;
+    while ((match = cityState.exec(text)) !== null) {
+      if (US_STATES[match[2]]) {
+        const knownCity = CITY_INDEX.get(foldKey(match[1]));
+        return {
+          city: knownCity ? knownCity.city : match[1],
+          state: match[2],
+          country: 'US',
+          metro: knownCity && knownCity.state === match[2] ? knownCity.metro : null
+        };
+      }
+    }
+
+    for (const [key, entry] of CITY_INDEX) {
+      if (key.length < 4) continue;
+      const pattern = new RegExp(`\\b${entry.city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+      if (pattern.test(titleText)) {
+        return { ...entry };
+      }
+    }
+
+    return null;
+  }
+
+  getStateName(state, country) {
+    if (country === 'MX') return MEXICAN_STATES[state] || state;
+    return US_STATES[state] || state;
+  }
+
+  format(location, defaultDisplay = null) {
+    let place = null;
+
+    if (location.city && location.state) {
+      place = location.country === 'MX'
+        ? `${location.city}, ${location.stateName}, Mexico`
+        : `${location.city}, ${location.state}`;
+    } else if (location.state) {
+      place = location.country === 'MX' ? `${location.stateName}, Mexico` : location.stateName;
+    } else if (location.city) {
+      place = location.city;
+    } else if (location.country) {
+      place = COUNTRY_NAMES[location.country] || location.country;
+    }
+
+    if (location.workMode === 'remote') {
+      return place ? `Remote (${place})` : 'Remote';
+    }
+    if (location.workMode === 'hybrid') {
+      return place ? `Hybrid - ${place}` : 'Hybrid';
+    }
+    if (place) return place;
+
+    if (location.raw && location.raw.length > 3 && location.raw.length < 50) {
+      return location.raw;
+    }
+    return defaultDisplay || 'Location not specified';
+  }
+}
+
+export default LocationNormalizer;
@@ -0,0 +1,70 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStorage } from './storage-adapters.js';
+
+// Copies of job records taken before a cleanup removes them, kept in the
+// "queue-backups" store:
+//
+//   backups/<createdAt>-<id>  { id, createdAt, reason, scope, runId, actor,
+//                               counters, jobs: [record, ...] }
+//
+// `counters` is only kept when the cleanup reset them. Backups are never
+// changed; JobQueueManager.restoreBackup writes one back.
+
+const BACKUP_PREFIX = 'backups/';
+
+class QueueBackups {
+  constructor() {
+    this.storeName = 'queue-backups';
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage(this.storeName);
+    }
+    return this.storage;
+  }
+
+  backupKey(backupId) {
+    return `${BACKUP_PREFIX}${encodeURIComponent(backupId)}`;
+  }
+
+  // Ids start with the time so they sort oldest first.
+  async create({ jobs, counters = null, scope, reason = null, runId = null, actor = null }) {
+    const createdAt = new Date().toISOString();
+    const backup = {
+      id: `${createdAt.replace(/[:.]/g, '-')}-${uuidv4().slice(0, 8)}`,
+      createdAt,
+      reason,
+      scope,
+      runId,
+      actor,
+      jobCount: jobs.length,
+      counters,
+      jobs
+    };
+
+    try {
+      await this.getStorage().set(this.backupKey(backup.id), backup, { onlyIfNew: true });
+      console.log(`💾 Backed up ${jobs.length} job records as ${backup.id}`);
+      return backup;
+
+    } catch (error) {
+      throw new Error(`Failed to back up the job queue: ${error.message}`);
+    }
+  }
+
+  // Newest first, without the records.
+  async list({ limit = 50 } = {}) {
+    const storage = this.getStorage();
+    const keys = (await storage.list(BACKUP_PREFIX)).sort().reverse().slice(0, limit);
+    const backups = (await Promise.all(keys.map(key => storage.get(key)))).filter(Boolean);
+    return backups.map(({ jobs, ...summary }) => summary);
+  }
+
+  async get(backupId) {
+    return await this.getStorage().get(this.backupKey(backupId));
+  }
+}
+
+export default QueueBackups;
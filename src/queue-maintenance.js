@@ -0,0 +1,135 @@
+import { createStorage } from './storage-adapters.js';
+import { loadJsonConfig, loadJsonFromEnv } from './config-loader.js';
+import { JOB_STATES } from './job-states.js';
+
+// Scheduled upkeep of the job queue, driven by retention policies from
+// JOB_RETENTION_POLICIES, else config/retention-policies.json:
+//
+// { "jobs": { "sent": { "days": 180 },
+//             "closed": { "days": 90, "compact": false } },
+//   "events": { "days": 365 } }
+//
+//   jobs     Finished jobs are removed `days` after they finished. They are
+//            first counted into the queue's summary stats, so lifetime totals
+//            survive, unless `compact` is false. Statuses left out are kept
+//            forever.
+//   events   Audit events older than `days` are deleted; without it they are
+//            kept forever.
+//
+// Every run's report is kept in the "queue-maintenance" store under
+// reports/<startedAt>-<runId>.
+
+const RETAINED_STATUSES = JOB_STATES.filter(status => !['pending', 'reserved'].includes(status));
+const REPORT_PREFIX = 'reports/';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class QueueMaintenance {
+  constructor(config = null) {
+    const { jobs, events } = config || QueueMaintenance.loadConfig();
+
+    this.jobPolicies = {};
+    for (const [status, policy] of Object.entries(jobs || {})) {
+      this.jobPolicies[status] = this.validateJobPolicy(status, policy);
+    }
+    if (events) this.validateDays('events', events.days);
+    this.eventPolicy = events ? { days: events.days } : null;
+    this.storage = null;
+  }
+
+  static defaultConfig() {
+    return { jobs: { sent: { days: 180 }, closed: { days: 90 }, skipped: { days: 90 } }, events: { days: 365 } };
+  }
+
+  static loadConfig() {
+    return loadJsonFromEnv('JOB_RETENTION_POLICIES')
+      || loadJsonConfig('retention-policies.json', { optional: true })
+      || QueueMaintenance.defaultConfig();
+  }
+
+  validateDays(name, days) {
+    if (!(typeof days === 'number' && days > 0)) {
+      throw new Error(`Retention policy ${name} needs a positive "days" (got "${days}")`);
+    }
+  }
+
+  validateJobPolicy(status, policy) {
+    if (!RETAINED_STATUSES.includes(status)) {
+      throw new Error(`Retention policies cover finished statuses only (${RETAINED_STATUSES.join(', ')}), not "${status}"`);
+    }
+    this.validateDays(status, policy?.days);
+    return { days: policy.days, compact: policy.compact !== false };
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = createStorage('queue-maintenance');
+    }
+    return this.storage;
+  }
+
+  // Applies every policy and resolves to the run's report. A dry run reports
+  // what would be removed in the same fields, changes nothing and is not kept.
+  async run(jobQueue, { dryRun = false, now = new Date() } = {}) {
+    const report = {
+      runId: jobQueue.runId,
+      startedAt: now.toISOString(),
+      dryRun,
+      policies: { jobs: this.jobPolicies, events: this.eventPolicy },
+      jobs: null,
+      events: null,
+      queue: null,
+      errors: []
+    };
+
+    console.log(`🧽 Queue maintenance${dryRun ? ' (dry run)' : ''} started`);
+
+    // The events are pruned even when the jobs fail, and the other way round.
+    try {
+      const { statuses, removed } = await jobQueue.applyRetention(this.jobPolicies, { dryRun, now });
+      report.jobs = { statuses, removed: removed.length };
+    } catch (error) {
+      report.errors.push({ step: 'jobs', error: error.message });
+    }
+
+    if (this.eventPolicy) {
+      try {
+        const before = new Date(now.getTime() - this.eventPolicy.days * DAY_MS);
+        report.events = { before: before.toISOString(), ...await jobQueue.getEventLog().prune(before, { dryRun }) };
+      } catch (error) {
+        report.errors.push({ step: 'events', error: `Failed to prune audit events: ${error.message}` });
+      }
+    }
+
+    try {
+      const stats = await jobQueue.getQueueStats();
+      report.queue = { totalJobs: stats.totalJobs, lifetimeByStatus: stats.lifetimeByStatus };
+    } catch (error) {
+      report.errors.push({ step: 'stats', error: error.message });
+    }
+
+    report.finishedAt = new Date().toISOString();
+    if (!dryRun) await this.saveReport(report);
+
+    const verb = dryRun ? 'to remove' : 'removed';
+    console.log(`${report.errors.length > 0 ? '⚠️' : '✅'} Queue maintenance finished: ${report.jobs ? report.jobs.removed : 0} jobs ${verb}, ${report.events ? report.events.jobEvents + report.events.counterEvents : 0} events ${verb}, ${report.errors.length} errors`);
+    return report;
+  }
+
+  async saveReport(report) {
+    try {
+      await this.getStorage().set(`${REPORT_PREFIX}${report.startedAt}-${report.runId}`, report);
+    } catch (error) {
+      console.error('⚠️ Could not save the maintenance report:', error.message);
+      report.errors.push({ step: 'report', error: error.message });
+    }
+  }
+
+  // Newest first.
+  async listReports({ limit = 20 } = {}) {
+    const storage = this.getStorage();
+    const keys = (await storage.list(REPORT_PREFIX)).sort().reverse().slice(0, limit);
+    return (await Promise.all(keys.map(key => storage.get(key)))).filter(Boolean);
+  }
+}
+
+export default QueueMaintenance;
@@ -0,0 +1,59 @@
+// Schema history of the "job-queue" store. The `schema` document holds the
+// store's `schemaVersion` and the steps applied so far; JobQueueManager runs
+// the missing steps, in order, on first use or on demand
+// (npm run queue:migrate). Every step must be safe to run twice and from
+// several instances at once.
+//
+// Job records carry the `schemaVersion` they were written with and are
+// upgraded on read, so code after the read never sees an older shape.
+
+export const QUEUE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'per-job-records',
+    description: 'Split the single-document queue (key "job-queue") into per-job records',
+    run: manager => manager.migrateLegacyQueue()
+  },
+  {
+    version: 2,
+    name: 'import-legacy-job-storage',
+    description: 'Queue the jobs still held by the legacy JobStorage ("job-storage" store, key "accumulated-jobs")',
+    run: manager => manager.importLegacyJobStorage()
+  }
+];
+
+export const QUEUE_SCHEMA_VERSION = QUEUE_MIGRATIONS[QUEUE_MIGRATIONS.length - 1].version;
+
+// Each upgrade brings a record from the previous version to `version`.
+const RECORD_UPGRADES = [
+  {
+    version: 1,
+    // Records from before versioning, including those migrated from the
+    // single-document queue, may lack fields added since.
+    upgrade: record => {
+      record.rev = record.rev || 1;
+      record.sourceId = record.sourceId ?? null;
+      record.jobNumber = record.jobNumber ?? null;
+      record.discoveredAt = record.discoveredAt || record.pubDate || null;
+      record.changeHistory = Array.isArray(record.changeHistory) ? record.changeHistory : [];
+    }
+  }
+];
+
+export const RECORD_SCHEMA_VERSION = RECORD_UPGRADES[RECORD_UPGRADES.length - 1].version;
+
+// Upgrades a record in place; returns it for chaining.
+export function upgradeRecord(record) {
+  if (!record) return record;
+
+  const from = record.schemaVersion || 0;
+  if (from > RECORD_SCHEMA_VERSION) {
+    throw new Error(`Job record ${record.guid} has schema version ${from}, newer than this code (${RECORD_SCHEMA_VERSION}); deploy the newer version`);
+  }
+
+  for (const step of RECORD_UPGRADES) {
+    if (step.version > from) step.upgrade(record);
+  }
+  record.schemaVersion = RECORD_SCHEMA_VERSION;
+  return record;
+}
@@ -1,77 +1,274 @@
-import Parser from 'rss-parser';
+import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import FeedRegistry from './feed-registry.js';
+import { createFeedAdapter } from './feed-adapters.js';
+import SalaryParser from './salary-parser.js';
+import LocationNormalizer from './location-normalizer.js';
+import FeedSnapshotCache from './feed-snapshot-cache.js';
+import ExtractionRules from './extraction-rules.js';
+import JobClassifier from './job-classifier.js';
+import DescriptionAnalyzer, { truncateWords } from './description-analyzer.js';
 
 class RSSParserV2 {
-  constructor() {
-    this.parser = new Parser({
-      customFields: {
-        item: [
-          ['description', 'description'],
-          ['pubDate', 'pubDate'],
-          ['link', 'link'],
-          ['title', 'title'],
-          ['crelate:location', 'crelateLocation'],
-          ['crelate:jobNumber', 'crelateJobNumber'],
-          ['crelate:salary', 'crelateSalary'],
-          ['crelate:hours', 'crelateHours'],
-          ['guid', 'guid']
-        ]
-      }
+  constructor(registry = null, snapshotCache = null) {
+    this.registry = registry || new FeedRegistry();
+    this.snapshotCache = snapshotCache || new FeedSnapshotCache();
+    this.loadedFeeds = new Map();
+    this.rules = new Map(
+      this.registry.getFeeds().map(feed => [feed.id, ExtractionRules.forFeed(feed)])
+    );
+    this.adapters = new Map(
+      this.registry.getFeeds().map(feed => [feed.id, createFeedAdapter({
+        ...feed,
+        fieldMap: { ...feed.fieldMap, ...this.rules.get(feed.id).getSourceMap() }
+      })])
+    );
+    this.salaryParser = new SalaryParser();
+    this.locationNormalizer = new LocationNormalizer();
+    this.classifier = new JobClassifier();
+    this.healthReports = new Map();
+    this.runIssues = [];
+    // Keep at least three highlights, and as many as the email shows.
+    this.descriptionAnalyzer = new DescriptionAnalyzer({
+      maxHighlights: Math.max(parseInt(process.env.EMAIL_HIGHLIGHT_COUNT || '0', 10) || 0, 3)
     });
-    this.rssUrl = process.env.CRELATE_RSS_URL;
   }
 
   async fetchJobMetadata() {
-    if (!this.rssUrl) {
-      throw new Error('CRELATE_RSS_URL environment variable is required');
+    const metadata = [];
+    const failures = [];
+
+    for (const feed of this.registry.getFeeds()) {
+      try {
+        console.log(`Fetching feed metadata from ${feed.id}:`, feed.url);
+        const { items, source, dropped } = await this.loadFeedItems(feed);
+        this.healthReports.set(feed.id, this.buildHealthReport(feed, items, source, dropped));
+
+        if (items.length === 0) {
+          console.log(`No items found in feed ${feed.id}`);
+          continue;
+        }
+
+        const feedMetadata = items
+          .map(item => this.extractJobMetadata(item, feed))
+          .filter(job => job !== null);
+
+        console.log(`Extracted ${feedMetadata.length} job metadata from ${items.length} items in ${feed.id}`);
+        metadata.push(...feedMetadata);
+
+      } catch (error) {
+        console.error(`Feed ${feed.id} metadata fetch error:`, error.message);
+        failures.push(`${feed.id}: ${error.message}`);
+        this.runIssues.push({ feedId: feed.id, type: 'feed-failed', message: error.message });
+        this.healthReports.set(feed.id, {
+          feedId: feed.id,
+          checkedAt: new Date().toISOString(),
+          source: null,
+          error: error.message
+        });
+      }
+    }
+
+    if (failures.length === this.adapters.size) {
+      throw new Error(`Failed to fetch RSS metadata: ${failures.join('; ')}`);
+    }
+
+    return metadata;
+  }
+
+  // Items are loaded once per parser instance, so the metadata pass and the
+  // details pass of a run share one request. Conditional headers come from
+  // the stored snapshot; a 304 or a failed request falls back to it.
+  async loadFeedItems(feed, { allowStale = false } = {}) {
+    if (this.loadedFeeds.has(feed.id)) {
+      return this.loadedFeeds.get(feed.id);
+    }
+
+    const adapter = this.adapters.get(feed.id);
+
+    // Offline documents must never overwrite the production snapshot.
+    if (adapter.isOffline()) {
+      const response = await adapter.fetchDocument();
+      const { items, dropped } = await adapter.parseDocument(response.document);
+      const result = {
+        items,
+        dropped,
+        source: 'fixture',
+        fetchedAt: new Date().toISOString(),
+        fixture: response.fixture || null
+      };
+      this.recordDroppedItems(feed, dropped);
+      this.loadedFeeds.set(feed.id, result);
+      return result;
     }
 
+    const snapshot = await this.snapshotCache.getSnapshot(feed.id);
+    let result;
+
     try {
-      console.log('Fetching RSS feed metadata from:', this.rssUrl);
-      const feed = await this.parser.parseURL(this.rssUrl);
-      
-      if (!feed.items || feed.items.length === 0) {
-        console.log('No items found in RSS feed');
-        return [];
+      let response = await adapter.fetchDocument({
+        etag: snapshot?.etag,
+        lastModified: snapshot?.lastModified
+      });
+
+      if (response.notModified && !snapshot) {
+        response = await adapter.fetchDocument();
+      }
+
+      if (response.notModified) {
+        console.log(`Feed ${feed.id} not modified since ${snapshot.fetchedAt}, using snapshot`);
+        result = { items: snapshot.items, dropped: [], source: 'snapshot', fetchedAt: snapshot.fetchedAt };
+      } else {
+        const { items, dropped } = await adapter.parseDocument(response.document);
+        this.recordDroppedItems(feed, dropped);
+        // A partly recovered document is saved without validators so the next
+        // run fetches it again instead of getting a 304 for the broken copy.
+        const saved = await this.snapshotCache.saveSnapshot(feed.id, {
+          items,
+          etag: dropped.length > 0 ? null : response.etag,
+          lastModified: dropped.length > 0 ? null : response.lastModified
+        });
+        result = { items, dropped, source: 'live', fetchedAt: saved.fetchedAt };
       }
 
-      const metadata = feed.items
-        .map(item => this.extractJobMetadata(item))
-        .filter(job => job !== null);
-      
-      console.log(`Extracted ${metadata.length} job metadata from ${feed.items.length} items`);
-      return metadata;
-      
     } catch (error) {
-      console.error('RSS metadata fetch error:', error);
-      throw new Error(`Failed to fetch RSS metadata: ${error.message}`);
+      if (!allowStale || !snapshot) {
+        throw error;
+      }
+      console.warn(`Feed ${feed.id} fetch failed (${error.message}), using snapshot from ${snapshot.fetchedAt}`);
+      this.runIssues.push({ feedId: feed.id, type: 'stale-snapshot', message: error.message, snapshotFetchedAt: snapshot.fetchedAt });
+      result = { items: snapshot.items, dropped: [], source: 'stale-snapshot', fetchedAt: snapshot.fetchedAt };
+    }
+
+    this.loadedFeeds.set(feed.id, result);
+    return result;
+  }
+
+  recordDroppedItems(feed, dropped) {
+    if (dropped.length === 0) return;
+    console.warn(`Feed ${feed.id}: dropped ${dropped.length} unreadable item(s): ${dropped.map(item => item.title || `#${item.index}`).join(', ')}`);
+    this.runIssues.push({ feedId: feed.id, type: 'dropped-items', message: `${dropped.length} item(s) could not be parsed`, dropped });
+  }
+
+  // Problems that did not stop the run: failed feeds (while others loaded),
+  // dropped items and stale snapshots. A run with issues is degraded.
+  getRunIssues() {
+    return this.runIssues;
+  }
+
+  // Feeds whose complete current contents are known this run (live or 304).
+  // Jobs from feeds that failed to load, lost items to parse errors or were
+  // read from an offline document (a fixture or file from another time) must
+  // not be judged missing.
+  getLoadedSourceIds() {
+    return Array.from(this.loadedFeeds.entries())
+      .filter(([, result]) => !['stale-snapshot', 'fixture'].includes(result.source) && (result.dropped || []).length === 0)
+      .map(([feedId]) => feedId);
+  }
+
+  getDefaultSourceId() {
+    return this.registry.getDefaultFeed().id;
+  }
+
+  getHealthReports() {
+    return Array.from(this.healthReports.values());
+  }
+
+  // Per-feed extraction health: how often each mapped feed element actually
+  // supplied its field, versus a pattern or built-in fallback. A renamed element
+  // shows up here as a share dropping towards zero.
+  buildHealthReport(feed, items, source, dropped = []) {
+    const rules = this.rules.get(feed.id);
+    const fields = {};
+
+    for (const [field, element] of Object.entries(rules.getSourceMap())) {
+      fields[field] = { source: element, present: 0, via: { source: 0, pattern: 0, fallback: 0 } };
+    }
+
+    let skipped = 0;
+    let fallbackGuids = 0;
+
+    for (const item of items) {
+      if (!item.title || !item.link) {
+        skipped++;
+        continue;
+      }
+
+      const guid = this.resolveGuid(item);
+      if (!guid || typeof guid !== 'string') fallbackGuids++;
+
+      for (const [field, stats] of Object.entries(fields)) {
+        if (item.fields && item.fields[field]) stats.present++;
+
+        const { via } = rules.extract(field, item, this.getFieldAccept(field));
+        stats.via[via === 'source' ? 'source' : via ? 'pattern' : 'fallback']++;
+      }
+    }
+
+    const evaluated = items.length - skipped;
+    for (const stats of Object.values(fields)) {
+      stats.share = evaluated > 0 ? Math.round((stats.via.source / evaluated) * 1000) / 1000 : 0;
     }
+
+    return {
+      feedId: feed.id,
+      checkedAt: new Date().toISOString(),
+      source,
+      rules: `${rules.name}@${rules.version}`,
+      itemCount: items.length,
+      dropped: dropped.length,
+      skipped,
+      fallbackGuids,
+      fields
+    };
+  }
+
+  // Fields whose raw value has to parse before it counts as extracted.
+  getFieldAccept(field) {
+    if (field === 'salary') return candidate => this.salaryParser.parse(candidate);
+    return value => value;
+  }
+
+  resolveGuid(item) {
+    let guid = item.guid || item.link;
+
+    if (typeof guid === 'object' && guid !== null && guid._) {
+      guid = guid._;
+    }
+
+    return guid;
   }
 
-  extractJobMetadata(item) {
+  extractJobMetadata(item, feed = this.registry.getDefaultFeed()) {
     try {
       if (!item.title || !item.link) {
         console.warn('Skipping item missing title or link');
         return null;
       }
 
-      let guid = item.guid || item.link;
-      
-      if (typeof guid === 'object' && guid._) {
-        guid = guid._;
-      }
-      
+      let guid = this.resolveGuid(item);
+      let guidGenerated = false;
+
       if (!guid || typeof guid !== 'string') {
         guid = uuidv4();
+        guidGenerated = true;
         console.warn('Generated fallback GUID for job:', item.title.substring(0, 50));
       }
 
+      const rules = this.rules.get(feed.id);
+
       return {
         guid: guid,
-        jobNumber: item.crelateJobNumber || null,
+        guidGenerated: guidGenerated,
+        sourceId: feed.id,
+        jobNumber: this.resolveJobNumber(item, rules),
         pubDate: item.pubDate ? new Date(item.pubDate).toISOString() : new Date().toISOString(),
         applyUrl: item.link,
-        title: this.cleanText(item.title)
+        title: this.cleanText(item.title),
+        location: this.resolveLocation(item, rules),
+        salary: this.resolveSalary(item, rules),
+        ...this.resolveClassification(item, rules),
+        ...this.buildContentFingerprint(item, rules)
       };
       
     } catch (error) {
@@ -80,42 +277,108 @@ class RSSParserV2 {
     }
   }
 
-  async fetchJobDetails(guids) {
-    if (!Array.isArray(guids) || guids.length === 0) {
+  // The fields a recruiter edit can change without touching the GUID.
+  // `contentSources` hashes the raw feed input of each field and
+  // `contentHash` covers only those, so a parser, gazetteer or rules change is
+  // never mistaken for an edit. `content` holds the parsed values an edit is
+  // reported and judged by, and `contentInputs` the raw inputs each parsed
+  // field was extracted from (see ExtractionRules.getInputs).
+  buildContentFingerprint(item, rules) {
+    const location = this.resolveLocation(item, rules);
+    const salary = this.resolveSalary(item, rules);
+    const content = {
+      title: this.cleanText(item.title),
+      location: location.display,
+      salary: salary && {
+        min: salary.min,
+        max: salary.max,
+        currency: salary.currency,
+        period: salary.period
+      },
+      hours: this.resolveHours(item, rules),
+      description: this.hashText(this.cleanText(item.description || ''))
+    };
+
+    // Empty inputs stay null so the queue can tell a scanned value apart.
+    const fields = item.fields || {};
+    const hashSource = value => (value ? this.hashText(value) : null);
+    const contentSources = {
+      title: hashSource(item.title),
+      description: hashSource(item.description),
+      location: hashSource(fields.location),
+      salary: hashSource(fields.salary),
+      hours: hashSource(fields.hours)
+    };
+
+    const contentInputs = {};
+    for (const field of ['location', 'salary', 'hours']) {
+      contentInputs[field] = rules.getInputs(field, item, this.getFieldAccept(field));
+    }
+
+    return {
+      content,
+      contentSources,
+      contentInputs,
+      contentHash: this.hashText(JSON.stringify(contentSources))
+    };
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').substring(0, 16);
+  }
+
+  // Accepts plain GUIDs or queue entries ({ guid, sourceId }). Details are
+  // re-fetched from the feed each job was discovered in.
+  async fetchJobDetails(jobs) {
+    if (!Array.isArray(jobs) || jobs.length === 0) {
       throw new Error('No GUIDs provided for job details fetch');
     }
 
-    try {
-      console.log(`Fetching fresh job details for ${guids.length} GUIDs`);
-      const feed = await this.parser.parseURL(this.rssUrl);
-      
-      if (!feed.items || feed.items.length === 0) {
-        throw new Error('No items found in RSS feed for job details');
-      }
+    const guidsBySource = this.groupBySource(jobs);
+    const queueEntries = new Map(
+      jobs.filter(job => typeof job === 'object').map(job => [job.guid, job])
+    );
+    // A reposted job can only be found under its new GUID once the old one
+    // has left the feed.
+    const aliases = new Map(
+      Array.from(queueEntries.values()).map(entry => [entry.guid, entry.aliasGuids || []])
+    );
+    const requestedCount = jobs.length;
+    const matchedJobs = [];
 
-      const guidSet = new Set(guids);
-      const matchedJobs = [];
+    try {
+      console.log(`Fetching fresh job details for ${requestedCount} GUIDs from ${guidsBySource.size} feed(s)`);
 
-      for (const item of feed.items) {
-        let itemGuid = item.guid || item.link;
-        
-        if (typeof itemGuid === 'object' && itemGuid._) {
-          itemGuid = itemGuid._;
+      for (const [sourceId, guidSet] of guidsBySource) {
+        const feed = this.registry.getFeed(sourceId);
+        if (!feed) {
+          console.warn(`Unknown feed ${sourceId} for ${guidSet.size} job(s), skipping`);
+          continue;
         }
 
-        if (guidSet.has(itemGuid)) {
-          const jobDetails = this.parseJobDetails(item);
-          if (jobDetails) {
-            matchedJobs.push(jobDetails);
-          }
+        // Jobs are already chosen at this point, so a feed outage falls back to
+        // the last snapshot rather than blocking the campaign.
+        const { items } = await this.loadFeedItems(feed, { allowStale: true });
+        this.collectJobDetails(items, guidSet, feed, matchedJobs, aliases);
+      }
+
+      for (const jobDetails of matchedJobs) {
+        const entry = queueEntries.get(jobDetails.guid);
+        if (entry && entry.badge) {
+          jobDetails.badge = entry.badge;
+        }
+        if (entry && entry.pin && new Date(entry.pin.expiresAt) > new Date()) {
+          jobDetails.pinned = true;
         }
       }
 
-      console.log(`Found ${matchedJobs.length} job details from ${guids.length} requested GUIDs`);
+      console.log(`Found ${matchedJobs.length} job details from ${requestedCount} requested GUIDs`);
       
-      if (matchedJobs.length < guids.length) {
+      if (matchedJobs.length < requestedCount) {
         const foundGuids = new Set(matchedJobs.map(job => job.guid));
-        const missingGuids = guids.filter(guid => !foundGuids.has(guid));
+        const missingGuids = jobs
+          .map(job => (typeof job === 'string' ? job : job.guid))
+          .filter(guid => !foundGuids.has(guid));
         console.warn(`Missing job details for GUIDs: ${missingGuids.join(', ')}`);
       }
 
@@ -127,31 +390,82 @@ class RSSParserV2 {
     }
   }
 
-  parseJobDetails(item) {
+  collectJobDetails(items, guidSet, feed, matchedJobs, aliases = new Map()) {
+    const matchedGuids = new Set();
+    const byGuid = new Map(items.map(item => [this.resolveGuid(item), item]));
+
+    for (const guid of guidSet) {
+      const aliasGuid = (aliases.get(guid) || []).find(alias => byGuid.has(alias));
+      const item = byGuid.get(guid) || byGuid.get(aliasGuid);
+      if (!item) continue;
+
+      const jobDetails = this.parseJobDetails(item, feed);
+      if (jobDetails) {
+        jobDetails.guid = guid;
+        jobDetails.id = guid;
+        matchedJobs.push(jobDetails);
+        matchedGuids.add(guid);
+      }
+    }
+
+    return matchedGuids;
+  }
+
+  groupBySource(jobs) {
+    const defaultSourceId = this.registry.getDefaultFeed().id;
+    const guidsBySource = new Map();
+
+    for (const job of jobs) {
+      const guid = typeof job === 'string' ? job : job.guid;
+      const sourceId = (typeof job === 'object' && job.sourceId) || defaultSourceId;
+
+      if (!guidsBySource.has(sourceId)) {
+        guidsBySource.set(sourceId, new Set());
+      }
+      guidsBySource.get(sourceId).add(guid);
+    }
+
+    return guidsBySource;
+  }
+
+  parseJobDetails(item, feed = this.registry.getDefaultFeed()) {
     try {
       if (!item.title || !item.link) {
         console.warn('Skipping job details for item missing title or link');
         return null;
       }
 
-      let guid = item.guid || item.link;
-      
-      if (typeof guid === 'object' && guid._) {
-        guid = guid._;
-      }
+      const guid = this.resolveGuid(item);
+      const rules = this.rules.get(feed.id);
+      const salary = this.resolveSalary(item, rules);
+      const location = this.resolveLocation(item, rules);
+      const analysis = this.descriptionAnalyzer.analyze(item.description, {
+        maxSummaryLength: rules.getMaxLength('summary') || undefined
+      });
 
       const job = {
         guid: guid,
         id: guid,
+        source_id: feed.id,
         title: this.cleanText(item.title),
-        location: item.crelateLocation || this.extractLocation(item.title, item.description),
-        salary_range: item.crelateSalary || this.extractSalaryRange(item.title, item.description),
-        hours: item.crelateHours || this.extractHours(item.title, item.description),
-        job_number: item.crelateJobNumber || null,
-        job_description_first_sentence: this.extractFirstSentence(item.description),
+        location: location.display,
+        location_details: location,
+        salary: salary,
+        salary_range: this.salaryParser.format(salary),
+        ...this.resolveClassification(item, rules),
+        hours: this.resolveHours(item, rules),
+        job_number: this.resolveJobNumber(item, rules),
+        job_description_first_sentence: this.extractFirstSentence(item, rules, analysis),
+        job_highlights: analysis.highlights,
+        description_sections: {
+          responsibilities: analysis.sections.responsibilities.items,
+          requirements: analysis.sections.requirements.items,
+          benefits: analysis.sections.benefits.items
+        },
         apply_url: item.link,
         published_date: item.pubDate ? new Date(item.pubDate).toISOString() : new Date().toISOString(),
-        parsed_at: new Date().toISOString()
+        parsed_at: new Date().toISOString(),
+        extraction_rules: `${rules.name}@${rules.version}`
       };
 
       return job;
@@ -170,127 +484,79 @@ class RSSParserV2 {
       .trim();
   }
 
-  extractLocation(title, description) {
-    const text = `${title} ${this.cleanText(description || '')}`;
-    
-    const locationPatterns = [
-      /<span[^>]*location[^>]*>([^<]+)</i,
-      /location[:\s]*<[^>]*>([^<]+)</i,
-      /(?:location|based in|located in|in|at)[\s:]*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*,\s*[A-Z]{2,3})/i,
-      /([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*,\s*[A-Z]{2,3})/,
-      /([A-Z][a-z]+,\s*[A-Z]{2})/
-    ];
-
-    for (const pattern of locationPatterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        const location = this.cleanText(match[1]).trim();
-        if (location.length > 3 && location.length < 50) {
-          return location;
-        }
-      }
+  resolveLocation(item, rules) {
+    const { value } = rules.extract('location', item);
+    return this.locationNormalizer.normalize(value, {
+      title: item.title,
+      description: item.description,
+      scanText: rules.hasFallback('location', 'gazetteer-scan'),
+      defaultDisplay: rules.getDefault('location')
+    });
+  }
+
+  resolveSalary(item, rules) {
+    const { value } = rules.extract('salary', item, this.getFieldAccept('salary'));
+    if (value) return value;
+
+    if (rules.hasFallback('salary', 'currency-scan')) {
+      const text = `${item.title} ${this.cleanText(item.description || '')}`;
+      const scanned = this.salaryParser.parse(text, { requireCurrency: true });
+      if (scanned) return scanned;
     }
 
-    return 'Location not specified';
+    return rules.getDefault('salary') ? this.salaryParser.parse(rules.getDefault('salary')) : null;
   }
 
-  extractSalaryRange(title, description) {
-    const text = `${title} ${this.cleanText(description || '')}`;
-    
-    const salaryPatterns = [
-      /<span[^>]*salary[^>]*>([^<]+)</i,
-      /salary[:\s]*<[^>]*>([^<]+)</i,
-      /\$(\d{2,3})[k\,]?\s*[-–—]\s*\$?(\d{2,3})[k\,]?/i,
-      /\$(\d{2,3})[k\,]?\s*to\s*\$?(\d{2,3})[k\,]?/i,
-      /salary[:\s]*\$?([\d,]+)\s*[-–—]\s*\$?([\d,]+)/i,
-      /\$?([\d,]+)\s*[-–—]\s*\$?([\d,]+)\s*(?:per year|annually)/i,
-      /salary[:\s]*\$?(\d{2,3})[k]?/i,
-      /\$(\d{2,3})[k]?\s*(?:per year|annually)/i
-    ];
-
-    for (const pattern of salaryPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        if (match[1] && match[2]) {
-          const min = match[1].replace(/,/g, '');
-          const max = match[2].replace(/,/g, '');
-          
-          if (parseInt(min) < 1000) {
-            return `$${min}-${max}k`;
-          } else {
-            return `$${parseInt(min).toLocaleString()}-${parseInt(max).toLocaleString()}`;
-          }
-        } else if (match[1]) {
-          const salary = match[1].replace(/,/g, '');
-          if (parseInt(salary) < 1000) {
-            return `$${salary}k`;
-          } else {
-            return `$${parseInt(salary).toLocaleString()}`;
-          }
-        }
-      }
-    }
+  resolveClassification(item, rules) {
+    const { value: feedCategory } = rules.extract('category', item);
+    const { category, industry } = this.classifier.classify({
+      title: item.title,
+      description: item.description,
+      feedCategories: [feedCategory, ...(item.categories || [])]
+    });
 
-    return 'Salary not disclosed';
+    const compact = ({ id, label, confidence, source }) => ({ id, label, confidence, source });
+    return { category: compact(category), industry: compact(industry) };
   }
 
-  extractHours(title, description) {
-    const text = `${title} ${description || ''}`;
-    
-    const hoursPatterns = [
-      /\b(full-time|full time|ft)\b/i,
-      /\b(part-time|part time|pt)\b/i,
-      /\b(contract|temp|temporary)\b/i,
-      /\b(freelance|consultant)\b/i
-    ];
-
-    for (const pattern of hoursPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        const type = match[1].toLowerCase();
-        if (type.includes('full')) return 'Full-time';
-        if (type.includes('part')) return 'Part-time';
-        if (type.includes('contract') || type.includes('temp')) return 'Contract';
-        if (type.includes('freelance') || type.includes('consultant')) return 'Freelance';
-      }
-    }
+  resolveHours(item, rules) {
+    const { value } = rules.extract('hours', item);
+    return value || rules.getDefault('hours');
+  }
 
-    return 'Full-time';
+  resolveJobNumber(item, rules) {
+    const { value } = rules.extract('jobNumber', item);
+    return value || rules.getDefault('jobNumber');
   }
 
-  extractFirstSentence(description) {
-    if (!description) return 'Job description not available';
-    
-    const cleaned = this.cleanText(description);
-    
-    const descriptionPatterns = [
-      /(?:Job Description|Description|About the Role|Overview|Summary|Position Summary)[\s:]*(.+?)(?:\.|$)/i,
-      /<p[^>]*>([^<]+)/i,
-      /^([^.!?]+[.!?])/
-    ];
-    
-    for (const pattern of descriptionPatterns) {
-      const match = cleaned.match(pattern);
-      if (match && match[1] && match[1].trim().length > 20) {
-        let description = match[1].trim();
-        
-        description = description.replace(/^(We are|Our client is|The company|This is|Looking for)/i, '');
-        description = description.trim();
-        
-        
-        return description || 'Job description not available';
-      }
+  extractFirstSentence(item, rules, analysis = null) {
+    const fallbackText = rules.getDefault('summary') || 'Job description not available';
+    if (!item.description) return fallbackText;
+
+    const maxLength = rules.getMaxLength('summary');
+    const minLength = rules.getMinLength('summary');
+    const accept = value => {
+      const summary = maxLength ? truncateWords(value, maxLength) : value;
+      return summary.length >= minLength ? summary : null;
+    };
+
+    const { value } = rules.extract('summary', item, accept);
+    if (value) return value;
+
+    if (rules.hasFallback('summary', 'description-sections')) {
+      const { summary } = analysis || this.descriptionAnalyzer.analyze(item.description);
+      const accepted = summary ? accept(rules.stripPrefixes('summary', summary)) : null;
+      if (accepted) return accepted;
     }
-    
-    const sentences = cleaned.split(/[.!?]+/);
-    if (sentences.length > 0 && sentences[0].trim().length > 20) {
-      let firstSentence = sentences[0].trim();
-      
-      
-      return firstSentence;
+
+    if (rules.hasFallback('summary', 'first-sentence')) {
+      const sentences = this.cleanText(item.description).split(/[.!?]+/);
+      if (sentences.length > 0 && sentences[0].trim().length > 20) {
+        return sentences[0].trim();
+      }
     }
-    
-    return 'Job description not available';
+
+    return fallbackText;
   }
 }
 
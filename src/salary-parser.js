@@ -0,0 +1,231 @@
+// Parses free-form salary text ("$85-100k", "$25/hr", "€60k", "USD 70,000 - 80,000
+// per year") into { min, max, currency, period, estimated, periodInferred, raw }.
+// `estimated` reflects an explicit marker in the text ("est.", "approx", "~");
+// `periodInferred` is set when the pay period was guessed from the amounts.
+
+const CURRENCY_TOKENS = [
+  ['US$', 'USD'],
+  ['MX$', 'MXN'],
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['USD', 'USD'],
+  ['EUR', 'EUR'],
+  ['GBP', 'GBP'],
+  ['MXN', 'MXN'],
+  ['CAD', 'CAD'],
+  ['pesos', 'MXN']
+];
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  MXN: 'MX$',
+  CAD: 'CA$'
+};
+
+const PERIOD_PATTERNS = [
+  ['hour', /(?:\/\s*(?:hr|hour|h)\b|per\s+hour|hourly|an\s+hour|p\/h\b)/i],
+  ['day', /(?:\/\s*day\b|per\s+day|daily|a\s+day)/i],
+  ['week', /(?:\/\s*(?:wk|week)\b|per\s+week|weekly|a\s+week)/i],
+  ['month', /(?:\/\s*(?:mo|month)\b|per\s+month|monthly|a\s+month)/i],
+  ['year', /(?:\/\s*(?:yr|year)\b|per\s+(?:year|annum)|annual(?:ly)?|a\s+year|p\.?a\.?\b)/i]
+];
+
+const PERIOD_SUFFIXES = {
+  hour: '/hr',
+  day: '/day',
+  week: '/wk',
+  month: '/mo',
+  year: ''
+};
+
+const ANNUAL_MULTIPLIERS = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+// A number of hours ("40 hours per week", "20-30 hrs/wk") is never pay, and
+// its "per week" must not be read as the pay period. A number after a currency
+// symbol, or ending a range that starts with one ("$20-25 hr"), is pay.
+const HOURS_PATTERN = /(?<![$€£]\s?(?:\d[\d,]*(?:\.\d+)?k?\s*(?:-|–|—|to)\s*)?)\b\d+(?:\.\d+)?(?:\s*(?:-|–|—|to)\s*\d+(?:\.\d+)?)?\s*(?:hours?|hrs?)\b(?:\s*(?:\/\s*(?:wk|week|day)\b|per\s+(?:week|day)|a\s+(?:week|day)|weekly|daily))?/gi;
+
+const ESTIMATE_PATTERN = /(?:\bestimated?\b|\best\.|\bapprox(?:\.|imately)?\b|~|\baround\b|\broughly\b)/i;
+const UNDISCLOSED_PATTERN = /^(?:competitive|doe|negotiable|tbd|n\/a|not disclosed|depending on experience|commensurate.*)$/i;
+
+const CURRENCY_SOURCE = CURRENCY_TOKENS
+  .map(([token]) => token.replace(/[$]/g, '\\$'))
+  .join('|');
+const AMOUNT_SOURCE = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)\\s*([kKmM]\\b)?';
+const RANGE_PATTERN = new RegExp(
+  `(?:(up\\s+to|from|starting\\s+at)\\s+)?(${CURRENCY_SOURCE})?\\s*${AMOUNT_SOURCE}` +
+  `(?:\\s*(?:-|–|—|to)\\s*(${CURRENCY_SOURCE})?\\s*${AMOUNT_SOURCE})?\\s*(\\+)?\\s*(${CURRENCY_SOURCE})?`,
+  'gi'
+);
+
+class SalaryParser {
+  constructor(options = {}) {
+    this.defaultCurrency = options.defaultCurrency || 'USD';
+  }
+
+  // `requireCurrency` guards free text such as descriptions, where bare numbers
+  // are usually hours, years of experience or zip codes rather than pay.
+  parse(text, { requireCurrency = false } = {}) {
+    if (!text || typeof text !== 'string') return null;
+
+    const raw = text.replace(/\s+/g, ' ').replace(HOURS_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+    if (!raw || UNDISCLOSED_PATTERN.test(raw)) return null;
+
+    RANGE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = RANGE_PATTERN.exec(raw)) !== null) {
+      if (match[0].trim().length === 0) {
+        RANGE_PATTERN.lastIndex++;
+        continue;
+      }
+
+      const salary = this.buildSalary(match, raw, requireCurrency);
+      if (salary) return salary;
+    }
+
+    return null;
+  }
+
+  buildSalary(match, raw, requireCurrency) {
+    const [, qualifier, currencyBefore, firstAmount, firstSuffix, currencyMiddle, secondAmount, secondSuffix, plus, currencyAfter] = match;
+    const currencyToken = currencyBefore || currencyMiddle || currencyAfter;
+
+    if (requireCurrency && !currencyToken) return null;
+    if (/^[mM]$/.test(firstSuffix || '') || /^[mM]$/.test(secondSuffix || '')) return null;
+
+    const thousands = /k/i.test(firstSuffix || '') || /k/i.test(secondSuffix || '');
+    let first = this.toNumber(firstAmount, firstSuffix || secondSuffix);
+    let second = secondAmount ? this.toNumber(secondAmount, secondSuffix || firstSuffix) : null;
+
+    if (!first || first <= 0) return null;
+    if (second !== null && second < first) {
+      [first, second] = [second, first];
+    }
+
+    const following = raw.slice(match.index, match.index + match[0].length + 25);
+    const surrounding = raw.slice(Math.max(0, match.index - 20), match.index + match[0].length + 25);
+    // "$40 - 45 hours": hours right after the amount are its pay period.
+    const perHour = /^\s*(?:hrs?|hours?)\b/i.test(raw.slice(match.index + match[0].length));
+    let period = perHour ? 'hour' : this.detectPeriod(following) || this.detectPeriod(raw);
+    let periodInferred = false;
+
+    if (!period) {
+      const largest = second || first;
+      periodInferred = true;
+
+      if (thousands || largest >= 1000) {
+        period = 'year';
+      } else if (largest >= 40) {
+        // Crelate writes "$85-100" for $85k-$100k; hourly pay this high is rare
+        // in our postings, so treat three-figure-or-less bare amounts >= 40 as thousands.
+        first *= 1000;
+        second = second !== null ? second * 1000 : null;
+        period = 'year';
+      } else {
+        period = 'hour';
+      }
+    } else if (period === 'year' && !thousands && (second || first) < 1000) {
+      first *= 1000;
+      second = second !== null ? second * 1000 : null;
+    }
+
+    let min = first;
+    let max = second !== null ? second : first;
+    const normalizedQualifier = (qualifier || '').toLowerCase();
+
+    if (normalizedQualifier === 'up to') {
+      min = null;
+      max = second !== null ? second : first;
+    } else if (normalizedQualifier === 'from' || normalizedQualifier.startsWith('starting') || plus) {
+      max = second !== null ? second : null;
+    }
+
+    return {
+      min,
+      max,
+      currency: this.resolveCurrency(currencyToken),
+      period,
+      estimated: ESTIMATE_PATTERN.test(surrounding),
+      periodInferred,
+      raw: match[0].trim()
+    };
+  }
+
+  toNumber(amount, suffix) {
+    const value = parseFloat(amount.replace(/,/g, ''));
+    if (Number.isNaN(value)) return null;
+    return /k/i.test(suffix || '') ? Math.round(value * 1000) : value;
+  }
+
+  detectPeriod(text) {
+    for (const [period, pattern] of PERIOD_PATTERNS) {
+      if (pattern.test(text)) return period;
+    }
+    return null;
+  }
+
+  resolveCurrency(token) {
+    if (!token) return this.defaultCurrency;
+    const entry = CURRENCY_TOKENS.find(([candidate]) => candidate.toLowerCase() === token.toLowerCase());
+    return entry ? entry[1] : this.defaultCurrency;
+  }
+
+  format(salary) {
+    if (!salary || (salary.min == null && salary.max == null)) {
+      return 'Salary not disclosed';
+    }
+
+    const symbol = CURRENCY_SYMBOLS[salary.currency] || `${salary.currency} `;
+    const suffix = PERIOD_SUFFIXES[salary.period] || '';
+    const prefix = salary.estimated ? 'Est. ' : '';
+    const inThousands = salary.period === 'year' &&
+      [salary.min, salary.max].every(value => value == null || value >= 1000);
+
+    const amount = value => {
+      if (inThousands) {
+        const thousands = value / 1000;
+        return Number.isInteger(thousands) ? `${thousands}` : thousands.toFixed(1).replace(/\.0$/, '');
+      }
+      return Number.isInteger(value)
+        ? value.toLocaleString('en-US')
+        : value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    };
+    const unit = inThousands ? 'k' : '';
+
+    let body;
+    if (salary.min == null) {
+      body = `Up to ${symbol}${amount(salary.max)}${unit}`;
+    } else if (salary.max == null) {
+      body = `${symbol}${amount(salary.min)}${unit}+`;
+    } else if (salary.min === salary.max) {
+      body = `${symbol}${amount(salary.min)}${unit}`;
+    } else {
+      body = `${symbol}${amount(salary.min)}-${amount(salary.max)}${unit}`;
+    }
+
+    return `${prefix}${body}${suffix}`;
+  }
+
+  // Annualized midpoint, for filters and stats that compare hourly and salaried roles.
+  toAnnual(salary) {
+    if (!salary || (salary.min == null && salary.max == null)) return null;
+
+    const multiplier = ANNUAL_MULTIPLIERS[salary.period] || 1;
+    const low = salary.min != null ? salary.min : salary.max;
+    const high = salary.max != null ? salary.max : salary.min;
+    return Math.round(((low + high) / 2) * multiplier);
+  }
+}
+
+export default SalaryParser;
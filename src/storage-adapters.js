@@ -0,0 +1,338 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getStore } from '@netlify/blobs';
+
+// Key/value document storage behind every store the app keeps (job queue,
+// feed cache, feed health, fixtures), selected with STORAGE_BACKEND:
+//
+//   netlify-blobs  Netlify Blobs (default). Inside Netlify the runtime supplies
+//                  the credentials; elsewhere set NETLIFY_SITE_ID and
+//                  NETLIFY_AUTH_TOKEN.
+//   filesystem     One JSON file per document under STORAGE_DIR/<store>/
+//   sqlite         One table in the STORAGE_SQLITE_PATH database (needs
+//                  better-sqlite3, installed by hand for local runs)
+//   memory         Lost when the process exits; local runs only
+//
+// Every adapter offers get, getWithTag, set, delete and list. `set` takes
+// { onlyIfMatch: tag } or { onlyIfNew: true } for conditional writes and
+// resolves to false when the condition failed.
+//
+// Netlify Blobs stores are read with strong consistency: conditional writes
+// and read-your-own-writes (the queue, the audit log, the campaign archive)
+// break on the default eventually consistent reads, which can be up to 60s
+// stale.
+//
+// A Netlify Blobs store that cannot be configured used to fall back to memory
+// without anyone noticing. It is now an error unless
+// STORAGE_ALLOW_MEMORY_FALLBACK=true, and memory storage is refused outright
+// in production.
+
+export const STORAGE_BACKENDS = ['netlify-blobs', 'filesystem', 'sqlite', 'memory'];
+
+const LOCK_WAIT_MS = 25;
+const LOCK_ATTEMPTS = 200;
+const LOCK_STALE_MS = 30000;
+
+export function getStorageBackend() {
+  const backend = process.env.STORAGE_BACKEND || 'netlify-blobs';
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unsupported STORAGE_BACKEND "${backend}" (expected one of ${STORAGE_BACKENDS.join(', ')})`);
+  }
+  return backend;
+}
+
+function isProduction() {
+  return process.env.CONTEXT === 'production' || process.env.NODE_ENV === 'production';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class NetlifyBlobsStorage {
+  constructor(name) {
+    const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+    this.name = name;
+
+    try {
+      this.store = siteID
+        ? getStore(name, { siteID, token: process.env.NETLIFY_AUTH_TOKEN, consistency: 'strong' })
+        : getStore(name, { consistency: 'strong' });
+    } catch (error) {
+      throw new Error(`Netlify Blobs store "${name}" is not configured (set NETLIFY_SITE_ID and NETLIFY_AUTH_TOKEN outside Netlify): ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    return await this.store.get(key, { type: 'json' });
+  }
+
+  async getWithTag(key) {
+    const entry = await this.store.getWithMetadata(key, { type: 'json' });
+    return entry ? { data: entry.data, tag: entry.etag } : { data: null, tag: null };
+  }
+
+  async set(key, data, { onlyIfMatch = null, onlyIfNew = false } = {}) {
+    const options = onlyIfMatch ? { onlyIfMatch } : onlyIfNew ? { onlyIfNew: true } : {};
+    const { modified } = await this.store.setJSON(key, data, options);
+    return modified;
+  }
+
+  async delete(key) {
+    await this.store.delete(key);
+  }
+
+  async list(prefix = '') {
+    const { blobs } = await this.store.list(prefix ? { prefix } : {});
+    return blobs.map(blob => blob.key);
+  }
+}
+
+// Tags are content hashes. Conditional writes hold a lock file for the key so
+// two local processes cannot both pass the check.
+export class FileSystemStorage {
+  constructor(name) {
+    this.name = name;
+    this.directory = path.resolve(process.env.STORAGE_DIR || '.data/storage', name);
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  read(key) {
+    const filePath = this.filePath(key);
+    if (!fs.existsSync(filePath)) return null;
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return { content, tag: crypto.createHash('sha1').update(content).digest('hex') };
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? JSON.parse(entry.content) : null;
+  }
+
+  async getWithTag(key) {
+    const entry = this.read(key);
+    return entry ? { data: JSON.parse(entry.content), tag: entry.tag } : { data: null, tag: null };
+  }
+
+  async set(key, data, { onlyIfMatch = null, onlyIfNew = false } = {}) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    return await this.withLock(key, () => {
+      const current = this.read(key);
+      if (onlyIfNew && current) return false;
+      if (onlyIfMatch && (!current || current.tag !== onlyIfMatch)) return false;
+
+      // Written aside and renamed so readers never see half a document.
+      const filePath = this.filePath(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, filePath);
+      return true;
+    });
+  }
+
+  async withLock(key, write) {
+    const lockPath = `${this.filePath(key)}.lock`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // A lock left behind by a crashed process is taken over once stale.
+      const lockedAt = fs.existsSync(lockPath) ? fs.statSync(lockPath).mtimeMs : 0;
+      if (Date.now() - lockedAt > LOCK_STALE_MS) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (attempt >= LOCK_ATTEMPTS) {
+        throw new Error(`Timed out waiting for the lock on ${key} in ${this.directory}`);
+      }
+      await sleep(LOCK_WAIT_MS);
+    }
+
+    try {
+      return write();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  async delete(key) {
+    fs.rmSync(this.filePath(key), { force: true });
+  }
+
+  async list(prefix = '') {
+    if (!fs.existsSync(this.directory)) return [];
+
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => decodeURIComponent(name.slice(0, -'.json'.length)))
+      .filter(key => key.startsWith(prefix))
+      .sort();
+  }
+}
+
+// One connection per database file, shared by every store in the process.
+const sqliteDatabases = new Map();
+
+// Tags are a per-document version number bumped on every write.
+export class SqliteStorage {
+  constructor(name) {
+    this.name = name;
+    this.filePath = path.resolve(process.env.STORAGE_SQLITE_PATH || '.data/storage.sqlite');
+  }
+
+  async getDatabase() {
+    if (sqliteDatabases.has(this.filePath)) return sqliteDatabases.get(this.filePath);
+
+    // Not a dependency, so the functions bundler must not try to resolve it.
+    const driver = 'better-sqlite3';
+    let Database;
+    try {
+      ({ default: Database } = await import(driver));
+    } catch (error) {
+      throw new Error(`The sqlite storage backend needs the better-sqlite3 package (npm install --no-save better-sqlite3, Node 20 or later): ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const database = new Database(this.filePath);
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+    database.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        store TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        PRIMARY KEY (store, key)
+      )
+    `);
+
+    sqliteDatabases.set(this.filePath, database);
+    return database;
+  }
+
+  async get(key) {
+    return (await this.getWithTag(key)).data;
+  }
+
+  async getWithTag(key) {
+    const database = await this.getDatabase();
+    const row = database.prepare('SELECT value, version FROM documents WHERE store = ? AND key = ?').get(this.name, key);
+    return row ? { data: JSON.parse(row.value), tag: String(row.version) } : { data: null, tag: null };
+  }
+
+  async set(key, data, { onlyIfMatch = null, onlyIfNew = false } = {}) {
+    const database = await this.getDatabase();
+    const value = JSON.stringify(data);
+
+    if (onlyIfMatch) {
+      const { changes } = database
+        .prepare('UPDATE documents SET value = ?, version = version + 1 WHERE store = ? AND key = ? AND version = ?')
+        .run(value, this.name, key, Number(onlyIfMatch));
+      return changes === 1;
+    }
+    if (onlyIfNew) {
+      const { changes } = database
+        .prepare('INSERT OR IGNORE INTO documents (store, key, value, version) VALUES (?, ?, ?, 1)')
+        .run(this.name, key, value);
+      return changes === 1;
+    }
+
+    database
+      .prepare('INSERT INTO documents (store, key, value, version) VALUES (?, ?, ?, 1) ON CONFLICT (store, key) DO UPDATE SET value = excluded.value, version = documents.version + 1')
+      .run(this.name, key, value);
+    return true;
+  }
+
+  async delete(key) {
+    const database = await this.getDatabase();
+    database.prepare('DELETE FROM documents WHERE store = ? AND key = ?').run(this.name, key);
+  }
+
+  async list(prefix = '') {
+    const database = await this.getDatabase();
+    return database
+      .prepare('SELECT key FROM documents WHERE store = ? AND substr(key, 1, ?) = ? ORDER BY key')
+      .all(this.name, prefix.length, prefix)
+      .map(row => row.key);
+  }
+}
+
+// Shared by every instance in the process, so two managers see each other's
+// writes the way they would with a real backend.
+const memoryStores = new Map();
+let memoryVersion = 0;
+
+export class MemoryStorage {
+  constructor(name) {
+    if (isProduction()) {
+      throw new Error(`Refusing to keep store "${name}" in memory in production; configure STORAGE_BACKEND`);
+    }
+    if (!memoryStores.has(name)) memoryStores.set(name, new Map());
+
+    this.name = name;
+    this.documents = memoryStores.get(name);
+  }
+
+  async get(key) {
+    return (await this.getWithTag(key)).data;
+  }
+
+  async getWithTag(key) {
+    const entry = this.documents.get(key);
+    return entry ? { data: structuredClone(entry.data), tag: entry.tag } : { data: null, tag: null };
+  }
+
+  async set(key, data, { onlyIfMatch = null, onlyIfNew = false } = {}) {
+    const current = this.documents.get(key);
+    if (onlyIfNew && current) return false;
+    if (onlyIfMatch && (!current || current.tag !== onlyIfMatch)) return false;
+
+    memoryVersion += 1;
+    this.documents.set(key, { data: structuredClone(data), tag: String(memoryVersion) });
+    return true;
+  }
+
+  async delete(key) {
+    this.documents.delete(key);
+  }
+
+  async list(prefix = '') {
+    return Array.from(this.documents.keys()).filter(key => key.startsWith(prefix)).sort();
+  }
+}
+
+export function createStorage(name) {
+  const backend = getStorageBackend();
+
+  switch (backend) {
+    case 'filesystem':
+      return new FileSystemStorage(name);
+    case 'sqlite':
+      return new SqliteStorage(name);
+    case 'memory':
+      return new MemoryStorage(name);
+  }
+
+  try {
+    return new NetlifyBlobsStorage(name);
+  } catch (error) {
+    if (process.env.STORAGE_ALLOW_MEMORY_FALLBACK !== 'true' || isProduction()) {
+      throw error;
+    }
+
+    console.warn(`⚠️⚠️ ${error.message}`);
+    console.warn(`⚠️⚠️ STORAGE_ALLOW_MEMORY_FALLBACK is set: store "${name}" is kept IN MEMORY and will be lost when this process exits`);
+    return new MemoryStorage(name);
+  }
+}